@@ -1,9 +1,12 @@
 const express = require("express");
 const path = require("node:path");
-const { PrismaClient } = require("@prisma/client");
+const { PrismaClient, Prisma } = require("@prisma/client");
 const session = require("express-session");
 const passport = require("passport");
 const GoogleStrategy = require("passport-google-oauth20").Strategy;
+const { Issuer, Strategy: OidcStrategy } = require("openid-client");
+const nodemailer = require("nodemailer");
+const webpush = require("web-push");
 const { PrismaSessionStore } = require("@quixo3/prisma-session-store");
 const compression = require("compression");
 const crypto = require("node:crypto");
@@ -48,6 +51,18 @@ app.use((req, res, next) => {
 
 // Middleware
 app.use(compression()); // Compress responses
+// Imports post far more than other forms (up to MAX_IMPORT_ROWS rows, sent again
+// from the preview). One over the limit still reaches the route, flagged with
+// req.bodyTooLarge, so the import page can explain instead of a bare 413.
+const IMPORT_BODY_LIMIT = "4mb";
+const parseImportBody = express.urlencoded({ extended: true, limit: IMPORT_BODY_LIMIT });
+app.use("/api/import", (req, res, next) =>
+  parseImportBody(req, res, (error) => {
+    if (error?.type !== "entity.too.large") return next(error);
+    req.bodyTooLarge = true;
+    next();
+  }),
+);
 app.use(express.urlencoded({ extended: true }));
 const isProd = process.env.NODE_ENV === "production";
 
@@ -80,19 +95,256 @@ const baseUrl = isProd
   ? `https://${process.env.VERCEL_PROJECT_PRODUCTION_URL}`
   : "http://localhost:3000";
 
+// AUTH PROVIDERS
+// Sign-in methods shown on the login page and in Settings. Each provider maps
+// its account to an Identity row; one user can link several identities.
+const AUTH_PROVIDERS = {
+  google: {
+    label: "Google",
+    path: "/api/auth/google",
+    enabled: () => Boolean(process.env.GOOGLE_CLIENT_ID),
+  },
+  oidc: {
+    label: process.env.OIDC_LABEL || "Single Sign-On",
+    path: "/api/auth/oidc",
+    enabled: () => Boolean(process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID),
+  },
+  email: {
+    label: "Email link",
+    path: "/api/auth/email",
+    // Without SMTP the link is only printed to the console, so keep it to development
+    enabled: () => Boolean(process.env.SMTP_URL) || !isProd,
+  },
+};
+
+const enabledAuthProviders = () =>
+  Object.entries(AUTH_PROVIDERS).filter(([, provider]) => provider.enabled());
+
+// Take the "link to my account" request made from Settings, if any
+const takeLinkUserId = (req) => {
+  const linkUserId = req.session?.linkUserId || null;
+  if (req.session) delete req.session.linkUserId;
+  return linkUserId;
+};
+
+// An OAuth callback only continues a link started from Settings in this session:
+// the nonce POST /api/auth/link stored must come back in the OAuth state.
+// Otherwise the link request is dropped and the callback is a plain sign-in.
+const checkLinkNonce = (req, nonce) => {
+  const expected = req.session?.linkNonce;
+  const matches =
+    typeof nonce === "string" &&
+    typeof expected === "string" &&
+    nonce.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(nonce), Buffer.from(expected));
+  if (req.session) {
+    delete req.session.linkNonce;
+    if (!matches) delete req.session.linkUserId;
+  }
+  return matches && Boolean(req.session.linkUserId);
+};
+
+// Find the user for a provider identity, creating both on first sign-in.
+// With linkUserId, a new identity is attached to that user instead.
+const resolveIdentityUser = async (
+  { provider, subject, displayName = null, email = null, photoUrl = null },
+  linkUserId = null,
+) => {
+  const now = new Date();
+  const identity = await prisma.identity.findUnique({
+    where: { provider_subject: { provider, subject } },
+    include: { user: true },
+  });
+
+  if (identity) {
+    if (linkUserId && identity.userId !== linkUserId) {
+      throw new Error("This sign-in is already linked to another account");
+    }
+    await prisma.identity.update({
+      where: { id: identity.id },
+      data: { email: email ?? identity.email, lastUsedAt: now },
+    });
+    // Fill in missing profile fields; never overwrite what the member set
+    return prisma.user.update({
+      where: { id: identity.userId },
+      data: {
+        displayName: identity.user.displayName ?? displayName,
+        email: identity.user.email ?? email,
+        photoUrl: photoUrl ?? identity.user.photoUrl,
+        lastLoginAt: now,
+      },
+    });
+  }
+
+  if (linkUserId) {
+    await prisma.identity.create({
+      data: { userId: linkUserId, provider, subject, email, lastUsedAt: now },
+    });
+    return prisma.user.update({ where: { id: linkUserId }, data: { lastLoginAt: now } });
+  }
+
+  return prisma.user.create({
+    data: {
+      displayName,
+      email,
+      photoUrl,
+      lastLoginAt: now,
+      identities: { create: { provider, subject, email, lastUsedAt: now } },
+    },
+  });
+};
+
 passport.use(
   new GoogleStrategy(
     {
       clientID: process.env.GOOGLE_CLIENT_ID,
       clientSecret: process.env.GOOGLE_CLIENT_SECRET,
       callbackURL: `${baseUrl}/api/auth/callback`,
+      passReqToCallback: true,
+    },
+    (req, token, tokenSecret, profile, done) => {
+      resolveIdentityUser(
+        {
+          provider: "google",
+          subject: profile.id,
+          displayName: profile.displayName || null,
+          email: profile.emails?.[0]?.value || null,
+          photoUrl: profile.photos?.[0]?.value || null,
+        },
+        takeLinkUserId(req),
+      ).then((user) => done(null, user), done);
     },
-    (token, tokenSecret, profile, done) => done(null, profile),
   ),
 );
 
-passport.serializeUser((user, done) => done(null, user));
-passport.deserializeUser((obj, done) => done(null, obj));
+// Generic OpenID Connect provider, configured by OIDC_ISSUER / OIDC_CLIENT_ID /
+// OIDC_CLIENT_SECRET. Discovery runs on first use (and is retried after a failure).
+let oidcStrategyReady = null;
+const ensureOidcStrategy = () => {
+  oidcStrategyReady ||= Issuer.discover(process.env.OIDC_ISSUER)
+    .then((issuer) => {
+      const client = new issuer.Client({
+        client_id: process.env.OIDC_CLIENT_ID,
+        client_secret: process.env.OIDC_CLIENT_SECRET,
+        redirect_uris: [`${baseUrl}/api/auth/oidc/callback`],
+        response_types: ["code"],
+      });
+      passport.use(
+        "oidc",
+        new OidcStrategy(
+          { client, params: { scope: "openid email profile" }, passReqToCallback: true },
+          (req, tokenSet, userinfo, done) => {
+            const claims = { ...tokenSet.claims(), ...userinfo };
+            resolveIdentityUser(
+              {
+                provider: "oidc",
+                subject: claims.sub,
+                displayName: claims.name || null,
+                // Only trust addresses the provider has verified
+                email: claims.email_verified === true ? claims.email || null : null,
+                photoUrl: claims.picture || null,
+              },
+              takeLinkUserId(req),
+            ).then((user) => done(null, user), done);
+          },
+        ),
+      );
+    })
+    .catch((error) => {
+      oidcStrategyReady = null;
+      throw error;
+    });
+  return oidcStrategyReady;
+};
+
+// Outgoing mail for sign-in links and invites. Without SMTP_URL the message is
+// printed to the console in development; in production only the recipient and
+// subject are logged, since the body carries single-use tokens.
+const mailTransport = process.env.SMTP_URL
+  ? nodemailer.createTransport(process.env.SMTP_URL)
+  : null;
+
+const sendMail = async ({ to, subject, text }) => {
+  if (!mailTransport) {
+    if (isProd) {
+      console.warn(`[MAIL] SMTP_URL is not set; not sending "${subject}" to ${to}`);
+    } else {
+      console.log(`[MAIL] To: ${to}\nSubject: ${subject}\n\n${text}`);
+    }
+    return;
+  }
+  await mailTransport.sendMail({
+    from: process.env.EMAIL_FROM || "Three Bells <no-reply@three-bells.app>",
+    to,
+    subject,
+    text,
+  });
+};
+
+// Sign-in links expire quickly and can only be used once
+const LOGIN_TOKEN_TTL_MS = 15 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const isValidEmail = (email) =>
+  typeof email === "string" && email.length <= 254 && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+
+// Store a new sign-in token for an email address and return the raw token
+const createLoginToken = async (email, linkUserId) => {
+  const token = crypto.randomBytes(32).toString("base64url");
+  await prisma.loginToken.create({
+    data: {
+      email,
+      tokenHash: hashToken(token),
+      linkUserId,
+      expiresAt: new Date(Date.now() + LOGIN_TOKEN_TTL_MS),
+    },
+  });
+  return token;
+};
+
+// Mark a sign-in token used and return it, or null if it's unknown, expired or used.
+// The conditional update makes concurrent uses of the same link fail safely.
+const consumeLoginToken = async (token) => {
+  if (typeof token !== "string" || !token) return null;
+  const tokenHash = hashToken(token);
+  const result = await prisma.loginToken.updateMany({
+    where: { tokenHash, usedAt: null, expiresAt: { gt: new Date() } },
+    data: { usedAt: new Date() },
+  });
+  if (result.count === 0) return null;
+  return prisma.loginToken.findUnique({ where: { tokenHash } });
+};
+
+// Create or refresh a User from a preview-deploy auth token (see /api/auth/token).
+// The display name is only filled in if the member hasn't set one, and rank, UIC,
+// timezone and preferences are never overwritten.
+const upsertUser = async ({ id, displayName, email, photoUrl }) => {
+  const existing = await prisma.user.findUnique({ where: { id } });
+  if (!existing) {
+    return prisma.user.create({
+      data: { id, displayName, email, photoUrl, lastLoginAt: new Date() },
+    });
+  }
+  return prisma.user.update({
+    where: { id },
+    data: {
+      displayName: existing.displayName ?? displayName,
+      email,
+      photoUrl,
+      lastLoginAt: new Date(),
+    },
+  });
+};
+
+// Only the user ID lives in the session; the User row is loaded on each request
+passport.serializeUser((user, done) => done(null, user.id));
+passport.deserializeUser((stored, done) => {
+  // Sessions created before the User table stored the whole Google profile
+  const id = typeof stored === "string" ? stored : stored?.id;
+  if (!id) return done(null, false);
+  prisma.user.findUnique({ where: { id } }).then((user) => done(null, user || false), done);
+});
 
 // Validate redirect URLs to prevent open redirect attacks
 // Allows: localhost (dev), production URL, and Vercel preview deployments
@@ -138,7 +390,8 @@ function createAuthToken(user) {
   const payload = {
     id: user.id,
     displayName: user.displayName,
-    emails: user.emails,
+    email: user.email,
+    photoUrl: user.photoUrl,
     exp: Date.now() + 60 * 1000, // 60 second expiry
   };
   const payloadStr = Buffer.from(JSON.stringify(payload)).toString("base64url");
@@ -177,7 +430,8 @@ function verifyAuthToken(token) {
     return {
       id: payload.id,
       displayName: payload.displayName,
-      emails: payload.emails,
+      email: payload.email,
+      photoUrl: payload.photoUrl,
     };
   } catch (e) {
     console.warn("[SECURITY] Auth token verification failed:", e.message);
@@ -295,6 +549,914 @@ const validateCSRFToken = (req) => {
   return token && sessionToken && token === sessionToken;
 };
 
+// RMP TYPES
+// Drill types and how many hours make up one RMP of that type. The type and
+// block size are copied onto each Rmp so past RMPs keep their original size.
+const RMP_TYPES = {
+  standard: { label: "Standard", hours: 3 },
+  short: { label: "Short", hours: 2 },
+  extended: { label: "Extended", hours: 4 },
+};
+const DEFAULT_RMP_TYPE = "standard";
+const MIN_RMP_BLOCK_HOURS = Math.min(...Object.values(RMP_TYPES).map((t) => t.hours));
+
+const isValidRmpType = (type) => typeof type === "string" && Object.hasOwn(RMP_TYPES, type);
+
+// The user's preferred RMP type for bundling (saved in their preferences)
+const getRmpType = (req) => {
+  const type = req.user?.preferences?.rmpType;
+  return isValidRmpType(type) ? type : DEFAULT_RMP_TYPE;
+};
+
+// TAGS
+// Members categorize logs with their own tags, created the first time a name is
+// used. Names match case-insensitively so "gmt" reuses an existing "GMT".
+const MAX_TAGS_PER_LOG = 10;
+const MAX_TAG_LENGTH = 30;
+// Offered in the tag picker alongside the member's own tags
+const SUGGESTED_TAGS = ["Admin", "Training", "Drill Prep", "GMT"];
+
+// One tag name, trimmed and with runs of spaces collapsed ("" when blank)
+const cleanTagName = (value) => {
+  if (typeof value !== "string") {
+    throw new Error("Tag names must be text");
+  }
+  const name = value.trim().replace(/\s+/g, " ");
+  if (name.length > MAX_TAG_LENGTH) {
+    throw new Error(`Tag names must be ${MAX_TAG_LENGTH} characters or less`);
+  }
+  return name;
+};
+
+// Tag names from a form or JSON body: `tags` (checked names or a JSON array)
+// plus comma-separated `newTags`. Undefined when neither is sent.
+const parseTagNames = (body) => {
+  if (body.tags === undefined && body.newTags === undefined) return undefined;
+  const names = new Map();
+  for (const value of [...[].concat(body.tags ?? []), ...String(body.newTags ?? "").split(",")]) {
+    const name = cleanTagName(value);
+    if (!name) continue;
+    if (!names.has(name.toLowerCase())) names.set(name.toLowerCase(), name);
+  }
+  if (names.size > MAX_TAGS_PER_LOG) {
+    throw new Error(`A log can have at most ${MAX_TAGS_PER_LOG} tags`);
+  }
+  return [...names.values()];
+};
+
+// Find or create the member's tags by name, as [{ id }] for connect/set
+const resolveTags = async (userId, names) => {
+  if (names.length === 0) return [];
+  const where = { userId, name: { in: names, mode: "insensitive" } };
+  const existing = await prisma.tag.findMany({ where });
+  const known = new Set(existing.map((t) => t.name.toLowerCase()));
+  const missing = names.filter((name) => !known.has(name.toLowerCase()));
+  if (missing.length === 0) return existing.map(({ id }) => ({ id }));
+  // New tags that match a suggestion take its spelling
+  const spelling = (name) =>
+    SUGGESTED_TAGS.find((suggested) => suggested.toLowerCase() === name.toLowerCase()) ?? name;
+  await prisma.tag.createMany({
+    data: missing.map((name) => ({ userId, name: spelling(name) })),
+    skipDuplicates: true,
+  });
+  return (await prisma.tag.findMany({ where })).map(({ id }) => ({ id }));
+};
+
+// Rename one of the member's tags on every log that has it. Resolves
+// "renamed", "not_found", or "taken" if another of their tags has that name.
+const renameTag = async (userId, id, name) => {
+  try {
+    const { count } = await prisma.tag.updateMany({ where: { id, userId }, data: { name } });
+    return count === 0 ? "not_found" : "renamed";
+  } catch (error) {
+    if (error.code === "P2002") return "taken";
+    throw error;
+  }
+};
+
+// Replace a log's tags
+const setLogTags = async (logId, userId, names) =>
+  prisma.log.update({
+    where: { id: logId },
+    data: { tags: { set: await resolveTags(userId, names) } },
+  });
+
+const sortTagNames = (names) => [...new Set(names)].sort((a, b) => a.localeCompare(b));
+
+// An RMP's tags: every tag on its bundled logs
+const rollupTags = (logs) => sortTagNames(logs.flatMap((l) => (l.tags || []).map((t) => t.name)));
+
+const renderTagChips = (names) =>
+  names.map((name) => `<span class="tag-chip">${escapeHtml(name)}</span>`).join("");
+
+// Checkboxes for the member's tags and the suggestions, plus a field for new ones
+const renderTagPicker = (userTags, selected = []) => {
+  const taken = new Set(userTags.map((t) => t.name.toLowerCase()));
+  const options = sortTagNames([
+    ...userTags.map((t) => t.name),
+    ...SUGGESTED_TAGS.filter((name) => !taken.has(name.toLowerCase())),
+  ]);
+  return `
+                            <div class="tag-picker">
+                                ${options
+                                  .map(
+                                    (name) => `
+                                <label class="tag-option"><input type="checkbox" name="tags" value="${escapeHtml(name)}" ${selected.includes(name) ? "checked" : ""}> ${escapeHtml(name)}</label>`,
+                                  )
+                                  .join("")}
+                            </div>
+                            <input type="text" name="newTags" placeholder="New tags, comma separated" maxlength="200" class="note-input">`;
+};
+
+// USER PROFILE
+// IANA timezone validation (e.g. "America/New_York")
+const isValidTimeZone = (tz) => {
+  if (typeof tz !== "string" || !tz) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Unit Identification Code: 5 or 6 letters/digits (e.g. "N1234A")
+const isValidUic = (uic) => typeof uic === "string" && /^[A-Z0-9]{5,6}$/.test(uic);
+
+// Validate profile settings from a form or JSON body. Only fields present in
+// `body` are returned, so callers can apply partial updates. Blank clears a field.
+const parseProfileInput = (body) => {
+  const data = {};
+  const text = (value) => (typeof value === "string" ? value.trim() : "");
+
+  if (body.displayName !== undefined) {
+    const displayName = text(body.displayName);
+    if (displayName.length > 100) {
+      throw new Error("Display name must be 100 characters or fewer");
+    }
+    data.displayName = displayName || null;
+  }
+  if (body.rank !== undefined) {
+    const rank = text(body.rank);
+    if (rank.length > 30) {
+      throw new Error("Rank must be 30 characters or fewer");
+    }
+    data.rank = rank || null;
+  }
+  if (body.uic !== undefined) {
+    const uic = text(body.uic).toUpperCase();
+    if (uic && !isValidUic(uic)) {
+      throw new Error("UIC must be 5 or 6 letters or digits");
+    }
+    data.uic = uic || null;
+  }
+  if (body.timezone !== undefined) {
+    const timezone = text(body.timezone);
+    if (timezone && !isValidTimeZone(timezone)) {
+      throw new Error("Unknown timezone");
+    }
+    data.timezone = timezone || null;
+  }
+  if (body.rmpType !== undefined) {
+    if (!isValidRmpType(body.rmpType)) {
+      throw new Error("Invalid RMP type");
+    }
+    data.preferences = { rmpType: body.rmpType };
+  }
+  return data;
+};
+
+// Save profile changes, merging preferences into the existing ones
+const updateUserProfile = (user, data) =>
+  prisma.user.update({
+    where: { id: user.id },
+    data: data.preferences
+      ? { ...data, preferences: { ...user.preferences, ...data.preferences } }
+      : data,
+  });
+
+const serializeProfile = (user) => ({
+  id: user.id,
+  displayName: user.displayName,
+  email: user.email,
+  rank: user.rank,
+  uic: user.uic,
+  timezone: user.timezone,
+  preferences: { rmpType: getRmpType({ user }), reminders: getReminderSettings(user) },
+});
+
+// RMP STATUS LIFECYCLE
+// Allowed status transitions. "submitted" is only re-entered by undoing a payment.
+const RMP_TRANSITIONS = {
+  submitted: ["approved", "paid", "denied", "cancelled"],
+  resubmitted: ["approved", "paid", "denied", "cancelled"],
+  approved: ["paid", "denied", "cancelled"],
+  denied: ["resubmitted", "cancelled"],
+  paid: ["submitted"],
+  cancelled: [],
+};
+
+// RMPs still waiting on the unit
+const PENDING_RMP_STATUSES = ["submitted", "resubmitted", "approved"];
+
+// RMPs the owner can still unsubmit; once approved, paid or cancelled they stay
+const UNSUBMITTABLE_RMP_STATUSES = ["submitted", "resubmitted", "denied"];
+
+// Button labels for moving an RMP into each status
+const RMP_STATUS_ACTIONS = {
+  submitted: { label: "Unpay", className: "btn-primary" },
+  approved: { label: "Approve", className: "btn-primary" },
+  paid: { label: "Mark Paid", className: "btn-warning" },
+  denied: { label: "Denied", className: "btn-danger" },
+  resubmitted: { label: "Resubmit", className: "btn-primary" },
+  cancelled: { label: "Cancel", className: "btn-secondary" },
+};
+
+const canTransitionRmp = (from, to) => RMP_TRANSITIONS[from]?.includes(to) ?? false;
+
+// Trim free-text input to the 500-char limit used for notes, null if empty
+const cleanText = (str) => (typeof str === "string" && str.trim().slice(0, 500)) || null;
+
+// Move an RMP to a new status, recording an optional reason and a history event.
+// Only applies if the RMP is still in the status it was read with; resolves false
+// (and records nothing) if someone else changed it in the meantime.
+const transitionRmp = (rmp, status, reason, actorId) => {
+  if (!canTransitionRmp(rmp.status, status)) {
+    throw new Error(`Invalid status transition from ${rmp.status} to ${status}`);
+  }
+  const statusReason = cleanText(reason);
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.rmp.updateMany({
+      where: { id: rmp.id, status: rmp.status },
+      data: { status, statusReason, statusChangedAt: new Date() },
+    });
+    if (count === 0) return false;
+    await tx.rmpEvent.create({
+      data: {
+        rmpId: rmp.id,
+        userId: rmp.userId,
+        actorId,
+        type: "status_changed",
+        fromStatus: rmp.status,
+        toStatus: status,
+        reason: statusReason,
+      },
+    });
+    return true;
+  });
+};
+
+// Replace an RMP's merged notes, recording a history event
+const editRmpNotes = (rmp, notes, actorId) => {
+  const cleaned = (typeof notes === "string" && notes.trim().slice(0, 5000)) || null;
+  return prisma.$transaction([
+    prisma.rmp.update({ where: { id: rmp.id }, data: { notes: cleaned } }),
+    prisma.rmpEvent.create({
+      data: { rmpId: rmp.id, userId: rmp.userId, actorId, type: "notes_edited", notes: cleaned },
+    }),
+  ]);
+};
+
+// Human-readable description of a history event for the RMP timeline
+const describeRmpEvent = (event) => {
+  switch (event.type) {
+    case "created":
+      return "Bundled and filed";
+    case "status_changed":
+      return `${event.fromStatus} → ${event.toStatus}`;
+    case "notes_edited":
+      return "Notes edited";
+    case "unsubmitted":
+      return "Unsubmitted";
+    default:
+      return event.type;
+  }
+};
+
+// RMP REVIEW
+// Members of a unit with an admin (other than themselves) hand the
+// approve/deny/pay decisions to its admins. Everyone else still manages their
+// own RMPs. This follows membership, not the sharing flag, so a member can't
+// step out of review by turning sharing off.
+const REVIEW_RMP_STATUSES = ["approved", "denied", "paid", "submitted"];
+
+// What a user may do with an RMP: { owner, reviewer, reviewed }
+//   owner    - it's their RMP
+//   reviewer - they admin a unit the owner belongs to (and it's not theirs)
+//   reviewed - some unit the owner belongs to has another admin
+const getRmpAccess = async (rmp, userId) => {
+  const [reviewerUnits, reviewingUnits] = await Promise.all([
+    rmp.userId === userId
+      ? 0
+      : prisma.unitMembership.count({
+          where: {
+            userId: rmp.userId,
+            unit: { memberships: { some: { userId, role: "admin" } } },
+          },
+        }),
+    prisma.unitMembership.count({
+      where: {
+        userId: rmp.userId,
+        unit: { memberships: { some: { userId: { not: rmp.userId }, role: "admin" } } },
+      },
+    }),
+  ]);
+  return {
+    owner: rmp.userId === userId,
+    reviewer: reviewerUnits > 0,
+    reviewed: reviewingUnits > 0,
+  };
+};
+
+const canSetRmpStatus = (access, status) =>
+  REVIEW_RMP_STATUSES.includes(status)
+    ? access.reviewer || (access.owner && !access.reviewed)
+    : access.owner;
+
+// Members whose RMPs this admin reviews, with the unit they're reviewed through
+const getReviewedMembers = async (adminId) => {
+  const memberships = await prisma.unitMembership.findMany({
+    where: {
+      userId: { not: adminId },
+      unit: { memberships: { some: { userId: adminId, role: "admin" } } },
+    },
+    include: { unit: true, user: true },
+  });
+  const members = new Map();
+  for (const m of memberships) {
+    if (!members.has(m.userId)) members.set(m.userId, { user: m.user, units: [] });
+    members.get(m.userId).units.push(m.unit.name);
+  }
+  return members;
+};
+
+const isUnitAdmin = async (userId) =>
+  (await prisma.unitMembership.count({ where: { userId, role: "admin" } })) > 0;
+
+// Tell members about decisions on their RMPs: one notification per RMP and
+// one email per member
+const notifyRmpDecisions = async (decisions, actor) => {
+  const byMember = new Map();
+  for (const { rmp, status, reason } of decisions) {
+    if (rmp.userId === actor.id) continue;
+    const filed = rmp.filedDate.toLocaleDateString("en-US", { timeZone: "UTC" });
+    const message = `Your RMP filed ${filed} was ${status === "submitted" ? "returned to submitted" : status}${reason ? `: ${reason}` : ""}`;
+    if (!byMember.has(rmp.userId)) byMember.set(rmp.userId, []);
+    byMember.get(rmp.userId).push({ rmpId: rmp.id, message });
+  }
+
+  for (const [userId, messages] of byMember) {
+    await prisma.notification.createMany({
+      data: messages.map(({ rmpId, message }) => ({ userId, rmpId, message })),
+    });
+    const member = await prisma.user.findUnique({ where: { id: userId } });
+    if (member?.email) {
+      await sendMail({
+        to: member.email,
+        subject:
+          messages.length === 1 ? "Update on your RMP" : `Updates on ${messages.length} RMPs`,
+        text: `${actor.displayName || "Your unit admin"} reviewed your RMPs:\n\n${messages.map((m) => `- ${m.message}`).join("\n")}\n\n${baseUrl}/api`,
+      }).catch((error) => console.error("Failed to email RMP decision:", error));
+    }
+  }
+};
+
+// TIMEZONES
+// Log times are stored as UTC instants and entered/shown in the member's timezone.
+// Members who haven't picked one get the server's zone (UTC on Vercel).
+const DEFAULT_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const getUserTimeZone = (user) =>
+  isValidTimeZone(user?.timezone) ? user.timezone : DEFAULT_TIME_ZONE;
+
+// Wall-clock parts of an instant in a timezone: { year, month, day, hour, minute, second }
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return {
+    year: get("year"),
+    month: get("month"),
+    day: get("day"),
+    hour: get("hour"),
+    minute: get("minute"),
+    second: get("second"),
+  };
+};
+
+// Offset of a timezone from UTC at a given instant, in milliseconds
+const getTimeZoneOffset = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Convert a wall-clock date (YYYY-MM-DD) and time (HH:MM) in a timezone to a UTC Date.
+// Tries the offsets in effect a day before and a day after, so a DST change that
+// day is handled: repeated fall-back times resolve to the first occurrence, and
+// times skipped by a spring-forward change move forward (02:30 -> 03:30).
+const zonedTimeToUtc = (dateStr, timeStr, timeZone) => {
+  const [year, month, day] = dateStr.split("-").map(Number);
+  const [hour, minute] = timeStr.split(":").map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const DAY = 24 * 60 * 60 * 1000;
+  const candidates = [wallClock - DAY, wallClock + DAY]
+    .map((t) => wallClock - getTimeZoneOffset(new Date(t), timeZone))
+    .filter((t) => t + getTimeZoneOffset(new Date(t), timeZone) === wallClock);
+  if (candidates.length > 0) return new Date(Math.min(...candidates));
+  // In a DST gap: keep the earlier offset, which lands after the gap
+  return new Date(wallClock - getTimeZoneOffset(new Date(wallClock - DAY), timeZone));
+};
+
+// Next calendar day for a YYYY-MM-DD string
+const addDays = (dateStr, days) => {
+  const [year, month, day] = dateStr.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split("T")[0];
+};
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+// YYYY-MM-DD of an instant in a timezone (for date inputs and CSV)
+const toDateInput = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  return `${p.year}-${pad2(p.month)}-${pad2(p.day)}`;
+};
+
+// HH:MM of an instant in a timezone (for time inputs)
+const toTimeInput = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  return `${pad2(p.hour)}:${pad2(p.minute)}`;
+};
+
+// Timezone for a form submission. Members without a saved timezone get the one
+// their browser reports (sent as clientTimeZone), which is saved for next time.
+const resolveTimeZone = async (req) => {
+  if (!req.user.timezone && isValidTimeZone(req.body.clientTimeZone)) {
+    await updateUserProfile(req.user, { timezone: req.body.clientTimeZone });
+    req.user.timezone = req.body.clientTimeZone;
+  }
+  return getUserTimeZone(req.user);
+};
+
+const formatDate = (date, timeZone) => date.toLocaleDateString("en-US", { timeZone });
+
+const formatTime = (date, timeZone) =>
+  date.toLocaleTimeString("en-US", { hour: "2-digit", minute: "2-digit", timeZone });
+
+// Time range of a log for display, or "Manual entry" for hours-only logs
+const formatLogTimeRange = (log, timeZone) =>
+  log.start.getTime() === log.end.getTime()
+    ? "Manual entry"
+    : formatTime(log.start, timeZone) + " - " + formatTime(log.end, timeZone);
+
+// LIST FILTERS
+// The History table and RMP list are paged with cursors (the last row's ID) and
+// can be filtered and sorted. On the dashboard the params are prefixed
+// (logFrom, rmpSort, ...) so both lists keep their state in one URL.
+const HISTORY_PAGE_SIZE = 25;
+const RMP_PAGE_SIZE = 10;
+
+const LOG_SORTS = {
+  newest: { label: "Newest first", orderBy: [{ start: "desc" }, { id: "desc" }] },
+  oldest: { label: "Oldest first", orderBy: [{ start: "asc" }, { id: "asc" }] },
+  hours: { label: "Most hours", orderBy: [{ hours: "desc" }, { start: "desc" }, { id: "desc" }] },
+};
+
+const RMP_SORTS = {
+  newest: { label: "Newest first", orderBy: [{ filedDate: "desc" }, { id: "desc" }] },
+  oldest: { label: "Oldest first", orderBy: [{ filedDate: "asc" }, { id: "asc" }] },
+};
+
+const LIST_PARAMS = {
+  log: ["from", "to", "bundled", "note", "tag", "q", "sort", "cursor"],
+  rmp: ["from", "to", "status", "q", "sort", "cursor"],
+};
+
+const cleanFilterDate = (value) => (isValidDate(value) ? value : "");
+const cleanFilterText = (value) => (typeof value === "string" ? value.trim().slice(0, 100) : "");
+const pickFilter = (value, allowed) => (allowed.includes(value) ? value : "");
+
+// Unknown or malformed values fall back to "no filter"
+const parseLogFilters = ({ from, to, bundled, note, tag, q, sort, cursor }) => ({
+  from: cleanFilterDate(from),
+  to: cleanFilterDate(to),
+  bundled: pickFilter(bundled, ["bundled", "unbundled"]),
+  note: pickFilter(note, ["with", "without"]),
+  tag: cleanFilterText(tag),
+  q: cleanFilterText(q),
+  sort: Object.hasOwn(LOG_SORTS, sort) ? sort : "newest",
+  cursor: isValidUUID(cursor) ? cursor : "",
+});
+
+const parseRmpFilters = ({ from, to, status, q, sort, cursor }) => ({
+  from: cleanFilterDate(from),
+  to: cleanFilterDate(to),
+  status: pickFilter(status, Object.keys(RMP_TRANSITIONS)),
+  q: cleanFilterText(q),
+  sort: Object.hasOwn(RMP_SORTS, sort) ? sort : "newest",
+  cursor: isValidUUID(cursor) ? cursor : "",
+});
+
+// Read one list's filters from prefixed dashboard params (logFrom, rmpStatus, ...)
+const readListParams = (query, list) =>
+  Object.fromEntries(
+    LIST_PARAMS[list].map((name) => [name, query[list + name[0].toUpperCase() + name.slice(1)]]),
+  );
+
+// Log dates are days in the member's timezone
+const buildLogWhere = (userId, filters, timeZone) => {
+  const where = { userId, AND: [] };
+  if (filters.from)
+    where.AND.push({ start: { gte: zonedTimeToUtc(filters.from, "00:00", timeZone) } });
+  if (filters.to) {
+    where.AND.push({ start: { lt: zonedTimeToUtc(addDays(filters.to, 1), "00:00", timeZone) } });
+  }
+  if (filters.bundled) where.rmpId = filters.bundled === "bundled" ? { not: null } : null;
+  if (filters.note === "with") where.AND.push({ note: { not: null } });
+  if (filters.note === "without") where.AND.push({ note: null });
+  if (filters.tag) {
+    where.AND.push({ tags: { some: { name: { equals: filters.tag, mode: "insensitive" } } } });
+  }
+  if (filters.q) where.AND.push({ note: { contains: filters.q, mode: "insensitive" } });
+  return where;
+};
+
+// Filing dates are stored as UTC midnight
+const buildRmpWhere = (userId, filters) => {
+  const where = { userId, AND: [] };
+  if (filters.from) where.AND.push({ filedDate: { gte: new Date(`${filters.from}T00:00:00Z`) } });
+  if (filters.to) {
+    where.AND.push({ filedDate: { lt: new Date(`${addDays(filters.to, 1)}T00:00:00Z`) } });
+  }
+  if (filters.status) where.status = filters.status;
+  if (filters.q) where.AND.push({ notes: { contains: filters.q, mode: "insensitive" } });
+  return where;
+};
+
+const hasActiveFilters = (filters) =>
+  Object.entries(filters).some(
+    ([name, value]) => value && name !== "cursor" && !(name === "sort" && value === "newest"),
+  );
+
+// One page of rows after the cursor, plus the cursor for the next page (or null)
+const findPage = async (model, { where, orderBy, cursor, pageSize, include }) => {
+  const rows = await prisma[model].findMany({
+    where,
+    orderBy,
+    include,
+    take: pageSize + 1,
+    ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+  });
+  return {
+    items: rows.slice(0, pageSize),
+    nextCursor: rows.length > pageSize ? rows[pageSize - 1].id : null,
+  };
+};
+
+// Dashboard URL carrying both lists' filters, with some values replaced
+const dashboardListUrl = (logFilters, rmpFilters, overrides = {}) => {
+  const params = new URLSearchParams();
+  for (const [list, filters] of [
+    ["log", logFilters],
+    ["rmp", rmpFilters],
+  ]) {
+    for (const name of LIST_PARAMS[list]) {
+      const key = list + name[0].toUpperCase() + name.slice(1);
+      const value = key in overrides ? overrides[key] : filters[name];
+      if (value && !(name === "sort" && value === "newest")) params.set(key, value);
+    }
+  }
+  const search = params.toString();
+  return search ? `/api?${search}` : "/api";
+};
+
+// Hidden inputs that keep the other list's filters when one list's form is submitted
+const listHiddenInputs = (list, filters) =>
+  LIST_PARAMS[list]
+    .filter((name) => filters[name] && !(name === "sort" && filters[name] === "newest"))
+    .map(
+      (name) =>
+        `<input type="hidden" name="${list}${name[0].toUpperCase()}${name.slice(1)}" value="${escapeHtml(filters[name])}">`,
+    )
+    .join("");
+
+// Split sessions (one log spread across RMPs) share a start and end; find which
+// of these logs belong to one
+const findSplitSessions = async (userId, logs) => {
+  const timed = logs.filter((l) => l.start.getTime() !== l.end.getTime());
+  if (timed.length === 0) return new Set();
+  const groups = await prisma.log.groupBy({
+    by: ["start", "end"],
+    where: { userId, start: { in: timed.map((l) => l.start) } },
+    _count: true,
+  });
+  return new Set(
+    groups.filter((g) => g._count > 1).map((g) => `${g.start.getTime()}-${g.end.getTime()}`),
+  );
+};
+
+// TIMER
+// Each member has at most one timer (an ActiveTimer row), kept on the server so
+// it can be started on one device and stopped on another. Every start-to-pause
+// stretch is kept as a segment with its real wall-clock times, and stopping logs
+// each segment as its own Log. Actions only apply to the timer as it was read
+// (compared by updatedAt), so two devices pressing buttons at once can't both
+// win; they return false (or null) when the timer had moved on. Actions take the
+// time they happened at, which is earlier than now when a device replays actions
+// it queued while offline.
+const MAX_TIMER_HOURS = 24;
+
+// When a timer action happened: the request's optional `at` (ISO 8601) or now.
+// Null if it isn't a valid time or is in the future (allowing a minute of clock
+// drift, which counts as now).
+const parseTimerTime = (value, now = new Date()) => {
+  if (value === undefined || value === null) return now;
+  const at = typeof value === "string" ? new Date(value) : null;
+  if (!at || Number.isNaN(at.getTime()) || at - now > 60000) return null;
+  return at > now ? now : at;
+};
+
+// An action can't be placed before the last thing already on the timer (e.g. a
+// replayed pause from a device whose clock runs behind)
+const notBefore = (at, time) => (at < time ? time : at);
+const timerLastChange = (timer) =>
+  timer.runningSince ?? new Date(timer.segments[timer.segments.length - 1].end);
+
+const getTimer = (userId) => prisma.activeTimer.findUnique({ where: { userId } });
+
+// Finished segments plus the running one (up to now), as Dates
+const timerSegments = (timer, now = new Date()) => [
+  ...timer.segments.map((segment) => ({
+    start: new Date(segment.start),
+    end: new Date(segment.end),
+  })),
+  ...(timer.runningSince ? [{ start: timer.runningSince, end: now }] : []),
+];
+
+const timerElapsedMs = (timer, now = new Date()) =>
+  timerSegments(timer, now).reduce((total, segment) => total + (segment.end - segment.start), 0);
+
+// The running segment has no end yet
+const serializeTimer = (timer, now = new Date()) =>
+  timer
+    ? {
+        status: timer.runningSince ? "running" : "paused",
+        segments: timerSegments(timer, now).map((segment) => ({
+          start: segment.start.toISOString(),
+          end: segment.start === timer.runningSince ? null : segment.end.toISOString(),
+        })),
+        elapsedMs: timerElapsedMs(timer, now),
+      }
+    : { status: "idle", segments: [], elapsedMs: 0 };
+
+const startTimer = async (userId, at = new Date()) => {
+  const { count } = await prisma.activeTimer.createMany({
+    data: [{ userId, runningSince: at }],
+    skipDuplicates: true,
+  });
+  return count > 0;
+};
+
+// Change the timer only if nobody has changed it since it was read
+const updateTimer = async (timer, data) => {
+  const { count } = await prisma.activeTimer.updateMany({
+    where: { userId: timer.userId, updatedAt: timer.updatedAt },
+    data,
+  });
+  return count > 0;
+};
+
+// Pausing closes the running segment
+const pauseTimer = async (userId, at = new Date()) => {
+  const timer = await getTimer(userId);
+  if (!timer?.runningSince) return false;
+  const end = notBefore(at, timer.runningSince);
+  const segment = { start: timer.runningSince.toISOString(), end: end.toISOString() };
+  return updateTimer(timer, { segments: [...timer.segments, segment], runningSince: null });
+};
+
+// Resuming opens a new segment
+const resumeTimer = async (userId, at = new Date()) => {
+  const timer = await getTimer(userId);
+  if (!timer || timer.runningSince) return false;
+  return updateTimer(timer, { runningSince: notBefore(at, timerLastChange(timer)) });
+};
+
+// Segments with their hours. Rounding is applied to the running total, so the
+// hours add up to the rounded total and a segment too short to register
+// (under ~30s) carries its time into the next one instead of losing it.
+const loggableSegments = (timer, now) => {
+  let elapsed = 0;
+  let logged = 0;
+  const segments = [];
+  for (const segment of timerSegments(timer, now)) {
+    elapsed += (segment.end - segment.start) / 3600000;
+    const hours = cleanNum(cleanNum(elapsed) - logged);
+    if (hours <= 0) continue;
+    logged = cleanNum(logged + hours);
+    segments.push({ ...segment, hours });
+  }
+  return segments;
+};
+
+// Why a timer's time can't be logged, or null if it can
+const timerLogError = (timer, now) => {
+  if (loggableSegments(timer, now).length === 0) return "Not enough time on the timer to log yet";
+  if (timerElapsedMs(timer, now) > MAX_TIMER_HOURS * 3600000) {
+    return `Timer ran longer than ${MAX_TIMER_HOURS} hours; discard it and log the hours manually`;
+  }
+  return null;
+};
+
+// Stop the timer and log each segment as its own Log (check timerLogError first,
+// with the same `now`). Returns the new logs, or null if the timer was changed or
+// stopped elsewhere in the meantime.
+const stopTimer = (timer, now, { note = null, tags = [] } = {}) =>
+  prisma.$transaction(async (tx) => {
+    const { count } = await tx.activeTimer.deleteMany({
+      where: { userId: timer.userId, updatedAt: timer.updatedAt },
+    });
+    if (count === 0) return null;
+    const logs = [];
+    for (const { start, end, hours } of loggableSegments(timer, now)) {
+      logs.push(
+        await tx.log.create({
+          data: { userId: timer.userId, hours, start, end, note, tags: { connect: tags } },
+          include: { tags: true },
+        }),
+      );
+    }
+    return logs;
+  });
+
+// PAGE LAYOUT
+// Headers that keep per-user pages out of browser and CDN caches
+const NO_CACHE_HEADERS = {
+  "Cache-Control": "no-store, no-cache, must-revalidate, private",
+  "Vercel-CDN-Cache-Control": "no-store, no-cache, must-revalidate",
+  Pragma: "no-cache",
+  Expires: "0",
+};
+
+// Shared shell for secondary pages (bundling, import, account, ...).
+// `body` is trusted HTML - escape user data before passing it in.
+const renderPage = ({ title, body, styles = "", script = "" }) => `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0, viewport-fit=cover">
+        <meta name="theme-color" content="#002447">
+        <link rel="manifest" href="/manifest.json">
+        <link rel="icon" type="image/png" sizes="192x192" href="/icons/icon-192.png">
+        <link rel="apple-touch-icon" href="/icons/icon-192.png">
+        <title>${escapeHtml(title)} - Three Bells</title>
+        <style>
+            * { margin: 0; padding: 0; box-sizing: border-box; }
+            body {
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+                background: linear-gradient(135deg, #002447 0%, #003d6b 50%, #002447 100%);
+                min-height: 100vh;
+                padding: 20px;
+                color: #333;
+            }
+            .container {
+                background: white;
+                border-radius: 20px;
+                box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
+                max-width: 800px;
+                margin: 0 auto;
+                padding: 30px;
+            }
+            h1 {
+                color: #002447;
+                font-size: 2em;
+                margin-bottom: 20px;
+                letter-spacing: -0.5px;
+            }
+            h2 {
+                color: #002447;
+                font-size: 1.3em;
+                margin: 24px 0 12px;
+            }
+            p {
+                margin-bottom: 12px;
+                line-height: 1.5;
+            }
+            .back-link {
+                display: inline-block;
+                margin-bottom: 20px;
+                color: #002447;
+                text-decoration: none;
+                font-weight: 600;
+            }
+            .card {
+                padding: 20px;
+                border-radius: 16px;
+                margin-bottom: 20px;
+                border: 1px solid #eee;
+                box-shadow: 0 2px 8px rgba(0,0,0,0.05);
+            }
+            .form-group {
+                margin-bottom: 16px;
+            }
+            .form-label {
+                display: block;
+                font-size: 0.85em;
+                font-weight: 600;
+                color: #555;
+                margin-bottom: 8px;
+                text-transform: uppercase;
+                letter-spacing: 0.5px;
+            }
+            input[type="date"],
+            input[type="time"],
+            input[type="number"],
+            input[type="text"],
+            input[type="email"],
+            input[type="search"],
+            select,
+            textarea {
+                width: 100%;
+                padding: 10px;
+                border: 2px solid #e0e0e0;
+                border-radius: 8px;
+                font-size: 1em;
+                font-family: inherit;
+            }
+            input:focus, select:focus, textarea:focus {
+                outline: none;
+                border-color: #002447;
+            }
+            .btn {
+                display: inline-block;
+                padding: 10px 20px;
+                border: none;
+                border-radius: 8px;
+                font-weight: 600;
+                font-size: 1em;
+                cursor: pointer;
+                font-family: inherit;
+                text-decoration: none;
+            }
+            .btn-primary { background: #002447; color: white; }
+            .btn-primary:hover { background: #003d6b; }
+            .btn-warning { background: #ffc107; color: #002447; }
+            .btn-warning:hover { background: #ffb300; }
+            .btn-danger { background: #dc3545; color: white; }
+            .btn-danger:hover { background: #c82333; }
+            .btn-secondary { background: #6c757d; color: white; }
+            .btn-small { padding: 6px 12px; font-size: 0.85em; }
+            .btn:disabled { opacity: 0.5; cursor: not-allowed; }
+            .alert {
+                padding: 12px 16px;
+                border-radius: 8px;
+                margin-bottom: 16px;
+            }
+            .alert-error { background: #f8d7da; color: #721c24; }
+            .alert-success { background: #d4edda; color: #155724; }
+            .alert-info { background: #e7f1ff; color: #002447; }
+            .muted { color: #999; }
+            .data-table {
+                width: 100%;
+                border-collapse: collapse;
+                font-size: 0.9em;
+            }
+            .data-table th {
+                text-align: left;
+                color: #555;
+                font-size: 0.8em;
+                text-transform: uppercase;
+                letter-spacing: 0.5px;
+                padding: 8px;
+                border-bottom: 2px solid #eee;
+            }
+            .data-table td {
+                padding: 10px 8px;
+                border-bottom: 1px solid #f0f0f0;
+                vertical-align: middle;
+            }
+            ${styles}
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <a href="/api" class="back-link">← Back to Dashboard</a>
+            ${body}
+        </div>
+        ${script ? `<script>${script}</script>` : ""}
+    </body>
+    </html>
+`;
+
 // MAIN ROUTE
 app.get("/", async (req, res) => {
   // Prevent caching - redirects should not be cached
@@ -455,6 +1617,19 @@ app.get("/api", async (req, res) => {
                     .login-button:active {
                         transform: translateY(0);
                     }
+                    .login-button-alt {
+                        display: flex;
+                        margin: 12px auto 0;
+                        max-width: 260px;
+                        background: white;
+                        color: #002447;
+                        border: 1px solid #d0d7e2;
+                        box-shadow: none;
+                    }
+                    .login-button-alt:hover {
+                        background: #f0f7ff;
+                        box-shadow: none;
+                    }
                     .google-icon {
                         width: 20px;
                         height: 20px;
@@ -507,6 +1682,10 @@ app.get("/api", async (req, res) => {
                     </div>
                     <h1>Three Bells</h1>
                     <p class="subtitle">Navy Reserve RMP Tracker</p>
+                    ${"deleted" in req.query ? '<p class="subtitle"><strong>Your account and data have been deleted.</strong></p>' : ""}
+                    ${
+                      AUTH_PROVIDERS.google.enabled()
+                        ? `
                     <a href="/api/auth/google" class="login-button">
                         <svg class="google-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
                             <path d="M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92c-.26 1.37-1.04 2.53-2.21 3.31v2.77h3.57c2.08-1.92 3.28-4.74 3.28-8.09z" fill="#4285F4"/>
@@ -516,6 +1695,16 @@ app.get("/api", async (req, res) => {
                         </svg>
                         Sign in with Google
                     </a>
+                    `
+                        : ""
+                    }
+                    ${enabledAuthProviders()
+                      .filter(([id]) => id !== "google")
+                      .map(
+                        ([, provider]) =>
+                          `<a href="${provider.path}" class="login-button login-button-alt">Sign in with ${escapeHtml(provider.label)}</a>`,
+                      )
+                      .join("")}
                     <div class="features">
                         <h3>Track & Manage</h3>
                         <div class="feature">
@@ -545,16 +1734,44 @@ app.get("/api", async (req, res) => {
     }
 
     const userId = req.user.id;
-    const todayStr = new Date().toISOString().split("T")[0];
+    const timeZone = getUserTimeZone(req.user);
+    const todayStr = toDateInput(new Date(), timeZone);
     const thirtyDaysAgo = new Date();
     thirtyDaysAgo.setUTCDate(thirtyDaysAgo.getUTCDate() - 30);
     thirtyDaysAgo.setUTCHours(0, 0, 0, 0);
 
+    // One page of each list, filtered and sorted from the query string
+    const logFilters = parseLogFilters(readListParams(req.query, "log"));
+    const rmpFilters = parseRmpFilters(readListParams(req.query, "rmp"));
+
     // Optimize: Fetch data in parallel and calculate metrics in database
-    const [logs, rmps, unbundledHours, rmpCounts] = await Promise.all([
-      prisma.log.findMany({ where: { userId }, orderBy: { start: "desc" } }),
-      prisma.rmp.findMany({ where: { userId }, orderBy: { filedDate: "desc" } }),
-      // Calculate unbundled hours in database
+    const [
+      logPage,
+      rmpPage,
+      unbundledHours,
+      rmpCounts,
+      pendingRmpsLast30Days,
+      rmpAccess,
+      reviewsRmps,
+      notifications,
+      userTags,
+      timer,
+    ] = await Promise.all([
+      findPage("log", {
+        where: buildLogWhere(userId, logFilters, timeZone),
+        orderBy: LOG_SORTS[logFilters.sort].orderBy,
+        cursor: logFilters.cursor,
+        pageSize: HISTORY_PAGE_SIZE,
+        include: { rmp: { select: { filedDate: true } }, tags: { orderBy: { name: "asc" } } },
+      }),
+      findPage("rmp", {
+        where: buildRmpWhere(userId, rmpFilters),
+        orderBy: RMP_SORTS[rmpFilters.sort].orderBy,
+        cursor: rmpFilters.cursor,
+        pageSize: RMP_PAGE_SIZE,
+        include: { logs: { orderBy: { start: "asc" }, include: { tags: true } } },
+      }),
+      // Calculate unbundled hours in database
       prisma.log.aggregate({
         where: { userId, rmpId: null },
         _sum: { hours: true },
@@ -565,22 +1782,80 @@ app.get("/api", async (req, res) => {
         where: { userId },
         _count: true,
       }),
+      // Pending RMPs filed in the last 30 days
+      prisma.rmp.count({
+        where: { userId, status: { in: PENDING_RMP_STATUSES }, filedDate: { gte: thirtyDaysAgo } },
+      }),
+      // Which status buttons this member gets on their own RMPs
+      getRmpAccess({ userId }, userId),
+      isUnitAdmin(userId),
+      prisma.notification.findMany({
+        where: { userId, readAt: null },
+        orderBy: { createdAt: "desc" },
+        take: 10,
+      }),
+      prisma.tag.findMany({ where: { userId }, orderBy: { name: "asc" } }),
+      getTimer(userId),
+    ]);
+
+    const logs = logPage.items;
+    const rmps = rmpPage.items;
+
+    // Status history for the RMP timelines on this page, and which of the
+    // shown logs are pieces of a session split across RMPs
+    const [rmpEvents, splitSessions] = await Promise.all([
+      prisma.rmpEvent.findMany({
+        where: { userId, rmpId: { in: rmps.map((r) => r.id) } },
+        orderBy: { createdAt: "asc" },
+      }),
+      findSplitSessions(userId, [...logs, ...rmps.flatMap((r) => r.logs)]),
     ]);
 
+    const eventsByRmp = new Map();
+    for (const event of rmpEvents) {
+      if (!eventsByRmp.has(event.rmpId)) eventsByRmp.set(event.rmpId, []);
+      eventsByRmp.get(event.rmpId).push(event);
+    }
+
+    // Split pieces keep the original start/end
+    const isPartialLog = (log) => splitSessions.has(`${log.start.getTime()}-${log.end.getTime()}`);
+    // Status buttons this member can use (admins make the calls for reviewed members)
+    const nextStatuses = (rmp) =>
+      RMP_TRANSITIONS[rmp.status].filter((next) => canSetRmpStatus(rmpAccess, next));
+    const listUrl = (overrides) => dashboardListUrl(logFilters, rmpFilters, overrides);
+    const pagerLinks = (cursor, nextCursor, param, section) =>
+      cursor || nextCursor
+        ? `<div class="list-pager">
+                    ${cursor ? `<a href="${listUrl({ [param]: "" })}#${section}">← First page</a>` : "<span></span>"}
+                    ${nextCursor ? `<a href="${listUrl({ [param]: nextCursor })}#${section}">Next page →</a>` : ""}
+                </div>`
+        : "";
+    // Links between RMP cards and history rows narrow the other list to that day
+    // when the target isn't on the current page
+    const shownRmpIds = new Set(rmps.map((r) => r.id));
+    const shownLogIds = new Set(logs.map((l) => l.id));
+    const rmpHref = (rmpId, filedDate) => {
+      if (shownRmpIds.has(rmpId)) return `#rmp-${rmpId}`;
+      const day = filedDate.toISOString().split("T")[0];
+      return `${listUrl({ rmpFrom: day, rmpTo: day, rmpStatus: "", rmpQ: "", rmpCursor: "" })}#rmp-${rmpId}`;
+    };
+    const logHref = (log) => {
+      if (shownLogIds.has(log.id)) return `#log-${log.id}`;
+      const day = toDateInput(log.start, timeZone);
+      return `${listUrl({ logFrom: day, logTo: day, logBundled: "", logNote: "", logTag: "", logQ: "", logCursor: "" })}#log-${log.id}`;
+    };
+
     const earnedHours = cleanNum(unbundledHours._sum.hours || 0);
-    const availableRMPs = Math.floor(earnedHours / 3);
+    const rmpType = getRmpType(req);
+    const blockHours = RMP_TYPES[rmpType].hours;
+    const availableRMPs = Math.floor(earnedHours / blockHours);
 
     // Calculate RMP summary metrics from database results
-    const pendingRmps = rmpCounts.find((r) => r.status === "submitted")?._count || 0;
+    const pendingRmps = rmpCounts
+      .filter((r) => PENDING_RMP_STATUSES.includes(r.status))
+      .reduce((s, r) => s + r._count, 0);
     const paidRmps = rmpCounts.find((r) => r.status === "paid")?._count || 0;
-
-    // Count pending RMPs in last 30 days
-    const pendingRmpsLast30Days = rmps.filter((r) => {
-      if (r.status !== "submitted") return false;
-      const filedDate = new Date(r.filedDate);
-      filedDate.setUTCHours(0, 0, 0, 0);
-      return filedDate >= thirtyDaysAgo;
-    }).length;
+    const deniedRmps = rmpCounts.find((r) => r.status === "denied")?._count || 0;
 
     // Validate edit query parameter if present
     let editLog = null;
@@ -588,6 +1863,7 @@ app.get("/api", async (req, res) => {
       if (isValidUUID(req.query.edit)) {
         editLog = await prisma.log.findFirst({
           where: { id: req.query.edit, userId, rmpId: null },
+          include: { tags: true },
         });
       } else {
         // Invalid UUID in query - ignore it
@@ -600,11 +1876,9 @@ app.get("/api", async (req, res) => {
 
     // Escape user data to prevent XSS
     const userDisplayName = escapeHtml(req.user.displayName || "User");
-    const userEmail = escapeHtml(req.user.emails?.[0]?.value || "");
-    const userPhotoUrl = req.user.photos?.[0]?.value ? escapeUrl(req.user.photos[0].value) : null;
-    const userInitial = (req.user.displayName ||
-      req.user.emails?.[0]?.value ||
-      "U")[0].toUpperCase();
+    const userEmail = escapeHtml(req.user.email || "");
+    const userPhotoUrl = req.user.photoUrl ? escapeUrl(req.user.photoUrl) : null;
+    const userInitial = (req.user.displayName || req.user.email || "U")[0].toUpperCase();
 
     const html = `
         <!DOCTYPE html>
@@ -755,6 +2029,24 @@ app.get("/api", async (req, res) => {
                 .profile-logout:hover {
                     background: #f5f5f5;
                 }
+                .notifications {
+                    display: flex;
+                    gap: 12px;
+                    justify-content: space-between;
+                    align-items: flex-start;
+                    background: #e7f1ff;
+                    color: #002447;
+                    padding: 14px 18px;
+                    border-radius: 12px;
+                    margin-bottom: 20px;
+                }
+                .notifications ul {
+                    margin-left: 18px;
+                    font-size: 0.9em;
+                }
+                .notifications a {
+                    color: #002447;
+                }
                 .summary-card {
                     background: linear-gradient(135deg, #002447 0%, #003d6b 100%);
                     color: white;
@@ -828,6 +2120,7 @@ app.get("/api", async (req, res) => {
                 }
                 input[type="date"],
                 input[type="time"],
+                select,
                 input[type="number"],
                 input[type="text"].note-input {
                     width: 100%;
@@ -843,6 +2136,25 @@ app.get("/api", async (req, res) => {
                     outline: none;
                     border-color: #002447;
                 }
+                .checkbox-label {
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                    font-size: 0.9em;
+                    color: #555;
+                    cursor: pointer;
+                }
+                .separate-date {
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                    margin-bottom: 8px;
+                    font-size: 0.85em;
+                    color: #555;
+                }
+                .separate-date span {
+                    min-width: 48px;
+                }
                 .time-grid {
                     display: grid;
                     grid-template-columns: 1fr 1fr;
@@ -918,6 +2230,13 @@ app.get("/api", async (req, res) => {
                 .btn-danger:hover {
                     background: #c82333;
                 }
+                .btn-secondary {
+                    background: #6c757d;
+                    color: white;
+                }
+                .btn-secondary:hover {
+                    background: #5a6268;
+                }
                 .btn-link {
                     background: none;
                     color: #002447;
@@ -933,6 +2252,8 @@ app.get("/api", async (req, res) => {
                 }
                 .rmp-card {
                     display: flex;
+                    flex-wrap: wrap;
+                    gap: 12px;
                     justify-content: space-between;
                     align-items: center;
                     padding: 20px;
@@ -944,9 +2265,22 @@ app.get("/api", async (req, res) => {
                 .rmp-card.paid {
                     border-left-color: #28a745;
                 }
-                .rmp-card.pending {
+                .rmp-card.submitted {
                     border-left-color: #ffc107;
                 }
+                .rmp-card.resubmitted {
+                    border-left-color: #17a2b8;
+                }
+                .rmp-card.approved {
+                    border-left-color: #6f42c1;
+                }
+                .rmp-card.denied {
+                    border-left-color: #dc3545;
+                }
+                .rmp-card.cancelled {
+                    border-left-color: #6c757d;
+                    opacity: 0.7;
+                }
                 .rmp-info strong {
                     display: block;
                     color: #002447;
@@ -978,13 +2312,178 @@ app.get("/api", async (req, res) => {
                 .rmp-badge.paid {
                     background: #28a745;
                 }
-                .rmp-badge.pending {
+                .rmp-badge.submitted {
                     background: #ffc107;
                 }
+                .rmp-badge.resubmitted {
+                    background: #17a2b8;
+                }
+                .rmp-badge.approved {
+                    background: #6f42c1;
+                }
+                .rmp-badge.denied {
+                    background: #dc3545;
+                }
+                .rmp-badge.cancelled {
+                    background: #6c757d;
+                }
+                .rmp-type {
+                    font-size: 0.8em;
+                    color: #666;
+                    margin-left: 6px;
+                }
+                .rmp-reason {
+                    font-size: 0.85em;
+                    color: #666;
+                    margin-top: 6px;
+                }
                 .rmp-actions {
                     display: flex;
                     gap: 8px;
                 }
+                .rmp-details {
+                    flex-basis: 100%;
+                    font-size: 0.85em;
+                    color: #555;
+                }
+                .rmp-details summary {
+                    cursor: pointer;
+                    color: #002447;
+                    font-weight: 600;
+                    margin-top: 4px;
+                }
+                .rmp-log-list {
+                    list-style: none;
+                    margin: 8px 0 0 4px;
+                }
+                .rmp-log-list li {
+                    padding: 4px 0;
+                    border-bottom: 1px solid #f0f0f0;
+                }
+                .rmp-log-list a {
+                    color: #002447;
+                    font-weight: 500;
+                }
+                .rmp-log-time {
+                    color: #999;
+                    margin-left: 6px;
+                }
+                .rmp-log-hours {
+                    float: right;
+                    font-weight: 600;
+                }
+                .rmp-log-note {
+                    font-style: italic;
+                    margin-top: 2px;
+                }
+                .rmp-card.highlight {
+                    box-shadow: 0 0 0 3px #ffc107;
+                }
+                .history-table tr.highlight td {
+                    background: #fff3cd;
+                }
+                .rmp-timeline {
+                    list-style: none;
+                    margin: 8px 0 0 4px;
+                    padding-left: 12px;
+                    border-left: 2px solid #ddd;
+                }
+                .rmp-timeline li {
+                    margin-bottom: 6px;
+                }
+                .rmp-timeline-date {
+                    color: #999;
+                    margin-right: 6px;
+                }
+                .rmp-timeline-text {
+                    text-transform: capitalize;
+                }
+                .rmp-timeline-reason {
+                    font-style: italic;
+                    color: #666;
+                }
+                .rmp-notes-form {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 8px;
+                    margin-top: 8px;
+                }
+                .rmp-notes-form textarea {
+                    width: 100%;
+                    padding: 8px;
+                    border: 2px solid #e0e0e0;
+                    border-radius: 8px;
+                    font-family: inherit;
+                    font-size: 1em;
+                }
+                .rmp-notes-form button {
+                    align-self: flex-start;
+                }
+                .rmp-status-form {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 6px;
+                    align-items: center;
+                }
+                .rmp-reason-input {
+                    padding: 6px 8px;
+                    border: 1px solid #e0e0e0;
+                    border-radius: 6px;
+                    font-size: 0.85em;
+                    font-family: inherit;
+                    width: 130px;
+                }
+                .export-form {
+                    display: flex;
+                    flex-wrap: wrap;
+                    align-items: center;
+                    gap: 8px;
+                    margin-top: 16px;
+                    font-size: 0.9em;
+                }
+                .export-form select,
+                .export-form input {
+                    width: auto;
+                    padding: 6px 8px;
+                    margin: 0;
+                }
+                .export-title {
+                    font-weight: 600;
+                    color: #002447;
+                }
+                .list-filters {
+                    display: flex;
+                    flex-wrap: wrap;
+                    align-items: center;
+                    gap: 8px;
+                    margin-bottom: 12px;
+                    font-size: 0.9em;
+                }
+                .list-filters select,
+                .list-filters input {
+                    width: auto;
+                    padding: 6px 8px;
+                    margin: 0;
+                }
+                .list-filters input[type="search"] {
+                    flex: 1;
+                    min-width: 140px;
+                }
+                .list-clear {
+                    color: #666;
+                    font-size: 0.9em;
+                }
+                .list-pager {
+                    display: flex;
+                    justify-content: space-between;
+                    margin-top: 12px;
+                    font-size: 0.9em;
+                }
+                .list-pager a {
+                    color: #002447;
+                    font-weight: 600;
+                    text-decoration: none;
+                }
                 .history-table {
                     width: 100%;
                     max-width: 100%;
@@ -1025,6 +2524,84 @@ app.get("/api", async (req, res) => {
                     font-size: 0.85em;
                     margin-top: 4px;
                 }
+                .offline-banner {
+                    background: #fff3cd;
+                    color: #664d03;
+                    border-radius: 12px;
+                    padding: 12px 16px;
+                    margin-bottom: 20px;
+                    font-size: 0.9em;
+                    font-weight: 600;
+                }
+                .sync-queue {
+                    border-left: 4px solid #ffc107;
+                }
+                .sync-queue-hint {
+                    color: #666;
+                    font-size: 0.85em;
+                    margin: 4px 0 12px;
+                }
+                .sync-queue-list {
+                    list-style: none;
+                    margin: 0;
+                    padding: 0;
+                }
+                .sync-queue-item {
+                    padding: 10px 0;
+                    border-top: 1px solid #f0f0f0;
+                }
+                .sync-queue-item .btn {
+                    margin: 8px 8px 0 0;
+                }
+                .sync-queue-detail {
+                    color: #666;
+                    font-size: 0.85em;
+                    margin-top: 4px;
+                }
+                .sync-queue-item.conflict .sync-queue-detail,
+                .sync-queue-item.failed .sync-queue-detail,
+                .sync-queue-item.held .sync-queue-detail {
+                    color: #dc3545;
+                }
+                .tag-list {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 4px;
+                    margin-top: 6px;
+                }
+                .tag-chip {
+                    display: inline-block;
+                    padding: 2px 8px;
+                    border-radius: 10px;
+                    background: #e7f0fa;
+                    color: #002447;
+                    font-size: 0.75em;
+                    font-weight: 600;
+                }
+                .tag-picker {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 6px;
+                    margin-bottom: 8px;
+                }
+                .tag-option {
+                    display: inline-flex;
+                    align-items: center;
+                    gap: 4px;
+                    padding: 4px 10px;
+                    border: 1px solid #e0e0e0;
+                    border-radius: 14px;
+                    font-size: 0.85em;
+                    cursor: pointer;
+                }
+                .tag-option input {
+                    width: auto;
+                    margin: 0;
+                }
+                .tag-option:has(input:checked) {
+                    background: #e7f0fa;
+                    border-color: #002447;
+                }
                 .history-note {
                     color: #555;
                     font-size: 0.85em;
@@ -1043,6 +2620,17 @@ app.get("/api", async (req, res) => {
                 .history-actions {
                     text-align: right;
                 }
+                .history-partial {
+                    font-size: 0.75em;
+                    font-weight: normal;
+                    color: #999;
+                }
+                .history-actions .bundled-link {
+                    color: #999;
+                    font-size: 0.85em;
+                    text-decoration: none;
+                    white-space: nowrap;
+                }
                 .history-actions a {
                     text-decoration: none;
                     margin-right: 8px;
@@ -1276,6 +2864,13 @@ app.get("/api", async (req, res) => {
                                     <div class="profile-name">${userDisplayName}</div>
                                     <div class="profile-email">${userEmail}</div>
                                 </div>
+                                <a href="/api/settings" class="profile-logout">Settings</a>
+                                <a href="/api/reports" class="profile-logout">Reports</a>
+                                <a href="/api/search" class="profile-logout">Search Notes</a>
+                                <a href="/api/units" class="profile-logout">Units</a>
+                                ${reviewsRmps ? '<a href="/api/review" class="profile-logout">Review RMPs</a>' : ""}
+                                <a href="/api/import" class="profile-logout">Import Hours</a>
+                                <a href="/api/account" class="profile-logout">Account &amp; Data</a>
                                 <a href="#" id="showTutorialLink" class="profile-logout">Show Tutorial</a>
                                 <a href="/api/logout" class="profile-logout">Logout</a>
                             </div>
@@ -1283,12 +2878,33 @@ app.get("/api", async (req, res) => {
                     </div>
                 </div>
 
+                ${
+                  notifications.length > 0
+                    ? `
+                <div class="notifications">
+                    <ul>
+                        ${notifications
+                          .map(
+                            (n) =>
+                              `<li>${n.rmpId ? `<a href="#rmp-${n.rmpId}">${escapeHtml(n.message)}</a>` : escapeHtml(n.message)}</li>`,
+                          )
+                          .join("")}
+                    </ul>
+                    <form action="/api/notifications/read" method="POST">
+                        <input type="hidden" name="_csrf" value="${csrfToken}">
+                        <button type="submit" class="btn btn-small btn-secondary">Dismiss</button>
+                    </form>
+                </div>
+                `
+                    : ""
+                }
+                <div id="offlineBanner" class="offline-banner" hidden></div>
                 <div id="summaryCard" class="summary-card">
                     <div class="summary-grid">
                         <div class="summary-item">
                             <div class="summary-label">Unbundled Balance</div>
                             <div class="summary-value">${earnedHours} hrs</div>
-                            <div class="summary-sub">${availableRMPs} RMPs Ready</div>
+                            <div class="summary-sub">${availableRMPs} ${RMP_TYPES[rmpType].label} RMPs Ready</div>
                         </div>
                         <div class="summary-item">
                             <div class="summary-label">Pending RMPs</div>
@@ -1298,22 +2914,66 @@ app.get("/api", async (req, res) => {
                         <div class="summary-item">
                             <div class="summary-label">Paid RMPs</div>
                             <div class="summary-value">${paidRmps}</div>
+                            ${deniedRmps > 0 ? `<div class="summary-sub">${deniedRmps} denied</div>` : ""}
                         </div>
                     </div>
                 </div>
 
                 ${
-                  availableRMPs > 0 && !editLog
+                  earnedHours >= MIN_RMP_BLOCK_HOURS && !editLog
                     ? `
                     <div id="bundleCard" class="card highlight">
                         <h3>Ready to File RMP</h3>
-                        <form action="/api/submit-unit" method="POST">
+                        <form action="/api/settings/rmp-type" method="POST">
+                            <input type="hidden" name="_csrf" value="${csrfToken}">
+                            <div class="form-group">
+                                <label class="form-label">RMP Type</label>
+                                <select name="rmpType" onchange="this.form.submit()">
+                                    ${Object.entries(RMP_TYPES)
+                                      .map(
+                                        ([id, t]) =>
+                                          `<option value="${id}" ${id === rmpType ? "selected" : ""}>${t.label} (${t.hours.toFixed(1)} hrs)</option>`,
+                                      )
+                                      .join("")}
+                                </select>
+                                <noscript><button type="submit" class="btn btn-small btn-primary" style="margin-top:8px;">Change type</button></noscript>
+                            </div>
+                        </form>
+                        <form id="bundleForm" action="/api/submit-unit" method="POST">
                             <input type="hidden" name="_csrf" value="${csrfToken}">
+                            <input type="hidden" name="rmpType" value="${rmpType}">
+                            ${
+                              availableRMPs > 1
+                                ? `
+                            <div class="form-group">
+                                <label class="form-label">Number of RMPs (up to ${availableRMPs})</label>
+                                <input type="number" name="count" id="bundleCount" min="1" max="${availableRMPs}" step="1" value="1">
+                            </div>
                             <div class="form-group">
+                                <label class="checkbox-label">
+                                    <input type="checkbox" name="separateDates" id="separateDates" value="1">
+                                    Use a different filing date for each RMP
+                                </label>
+                            </div>
+                            `
+                                : ""
+                            }
+                            <div class="form-group" id="sharedDateGroup">
                                 <label class="form-label">EDM Filing Date</label>
                                 <input type="date" name="filedDate" value="${todayStr}" required>
                             </div>
-                            <button type="submit" class="btn btn-warning" style="width:100%;">Bundle 3.0 hrs</button>
+                            <div class="form-group" id="separateDateGroup" style="display:none;"></div>
+                            ${
+                              availableRMPs > 0
+                                ? `<button type="submit" class="btn btn-warning" style="width:100%;">Bundle ${blockHours.toFixed(1)} hrs${availableRMPs > 1 ? " each" : ""}</button>`
+                                : `<button type="submit" class="btn btn-warning" style="width:100%;" disabled>Need ${blockHours.toFixed(1)} hrs for ${RMP_TYPES[rmpType].label}</button>`
+                            }
+                            <a href="/api/bundle" class="btn btn-link" style="display:block; text-align:center; margin-top:12px;">Choose logs manually</a>
+                            ${
+                              availableRMPs > 1
+                                ? `<button type="submit" name="bundleAll" value="1" id="bundleAllBtn" class="btn btn-link" style="display:block; margin:12px auto 0;">Bundle all ${availableRMPs} RMPs (${cleanNum(availableRMPs * blockHours)} hrs)</button>`
+                                : ""
+                            }
                         </form>
                     </div>
                 `
@@ -1330,7 +2990,7 @@ app.get("/api", async (req, res) => {
                             <div class="timer-display-inline" id="timerDisplay">00:00:00</div>
                             <button id="startBtn" class="timer-btn-icon timer-btn-icon-start" title="Start timer">▶</button>
                             <button id="pauseBtn" class="timer-btn-icon timer-btn-icon-pause" disabled title="Pause timer">⏸</button>
-                            <button id="stopBtn" class="timer-btn-icon timer-btn-icon-stop" disabled title="Stop and populate form">⏹</button>
+                            <button id="stopBtn" class="timer-btn-icon timer-btn-icon-stop" disabled title="Stop and log hours">⏹</button>
                         </div>
                         `
                             : ""
@@ -1338,15 +2998,17 @@ app.get("/api", async (req, res) => {
                     </div>
                     <form action="${editLog ? `/api/update/${editLog.id}` : "/api/add"}" method="POST">
                         <input type="hidden" name="_csrf" value="${csrfToken}">
+                        <input type="hidden" name="clientTimeZone" id="clientTimeZone">
+                        ${editLog ? `<input type="hidden" name="version" value="${editLog.updatedAt.toISOString()}">` : ""}
                         <div class="form-group">
                             <label class="form-label">Work Date</label>
-                            <input type="date" name="workDate" value="${editLog ? editLog.start.toISOString().split("T")[0] : todayStr}" required>
+                            <input type="date" name="workDate" value="${editLog ? toDateInput(editLog.start, timeZone) : todayStr}" required>
                         </div>
                         <div class="form-group">
-                            <label class="form-label">Time Range</label>
+                            <label class="form-label">Time Range <span style="font-weight:normal; color:#999;">(${escapeHtml(timeZone.replace(/_/g, " "))})</span></label>
                             <div class="time-grid">
-                                <input type="time" name="startTime" value="${editLog && editLog.start.getTime() !== editLog.end.getTime() ? editLog.start.toISOString().slice(11, 16) : ""}" placeholder="Start">
-                                <input type="time" name="endTime" value="${editLog && editLog.start.getTime() !== editLog.end.getTime() ? editLog.end.toISOString().slice(11, 16) : ""}" placeholder="End">
+                                <input type="time" name="startTime" value="${editLog && editLog.start.getTime() !== editLog.end.getTime() ? toTimeInput(editLog.start, timeZone) : ""}" placeholder="Start">
+                                <input type="time" name="endTime" value="${editLog && editLog.start.getTime() !== editLog.end.getTime() ? toTimeInput(editLog.end, timeZone) : ""}" placeholder="End">
                             </div>
                         </div>
                         <div class="divider">OR MANUAL</div>
@@ -1359,6 +3021,10 @@ app.get("/api", async (req, res) => {
                             <label class="form-label">Note (optional)</label>
                             <input type="text" name="note" value="${editLog?.note ? escapeHtml(editLog.note) : ""}" placeholder="What did you work on?" maxlength="500" class="note-input">
                         </div>
+                        <div class="form-group">
+                            <label class="form-label">Tags (optional)</label>
+                            ${renderTagPicker(userTags, editLog ? editLog.tags.map((t) => t.name) : [])}
+                        </div>
                         <div class="form-group">
                             <button type="submit" class="btn btn-primary" style="width:100%;">${editLog ? "Save" : "Log"}</button>
                         </div>
@@ -1366,7 +3032,38 @@ app.get("/api", async (req, res) => {
                     </form>
                 </div>
 
+                <div id="syncQueueCard" class="card sync-queue" hidden>
+                    <h3>Waiting to Sync</h3>
+                    <p class="sync-queue-hint">Saved on this device while offline. These are sent automatically once you're back online.</p>
+                    <ul id="syncQueueList" class="sync-queue-list"></ul>
+                </div>
+
                 <h2 id="rmpsSection" class="section-title">Submitted RMPs</h2>
+                <form method="GET" action="/api#rmpsSection" class="list-filters">
+                    ${listHiddenInputs("log", logFilters)}
+                    <input type="date" name="rmpFrom" value="${rmpFilters.from}" aria-label="Filed from">
+                    <input type="date" name="rmpTo" value="${rmpFilters.to}" aria-label="Filed to">
+                    <select name="rmpStatus" aria-label="Status">
+                        <option value="">All statuses</option>
+                        ${Object.keys(RMP_TRANSITIONS)
+                          .map(
+                            (status) =>
+                              `<option value="${status}" ${status === rmpFilters.status ? "selected" : ""}>${status[0].toUpperCase()}${status.slice(1)}</option>`,
+                          )
+                          .join("")}
+                    </select>
+                    <input type="search" name="rmpQ" value="${escapeHtml(rmpFilters.q)}" placeholder="Search notes" maxlength="100" aria-label="Search notes">
+                    <select name="rmpSort" aria-label="Sort">
+                        ${Object.entries(RMP_SORTS)
+                          .map(
+                            ([id, sort]) =>
+                              `<option value="${id}" ${id === rmpFilters.sort ? "selected" : ""}>${sort.label}</option>`,
+                          )
+                          .join("")}
+                    </select>
+                    <button type="submit" class="btn btn-secondary btn-small">Filter</button>
+                    ${hasActiveFilters(rmpFilters) ? `<a href="${listUrl({ rmpFrom: "", rmpTo: "", rmpStatus: "", rmpQ: "", rmpSort: "", rmpCursor: "" })}#rmpsSection" class="list-clear">Clear</a>` : ""}
+                </form>
                 ${
                   rmps.length > 0
                     ? rmps
@@ -1376,48 +3073,151 @@ app.get("/api", async (req, res) => {
                           const day = date.getUTCDate();
                           const year = date.getUTCFullYear();
                           const displayDate = `${month}/${day}/${year}`;
+                          const rmpLogs = r.logs;
                           return `
-                    <div class="rmp-card ${r.status === "paid" ? "paid" : "pending"}">
+                    <div class="rmp-card ${r.status}" id="rmp-${r.id}">
                         <div class="rmp-info">
                             <strong>Filed: ${displayDate}</strong>
-                            <span class="rmp-badge ${r.status === "paid" ? "paid" : "pending"}">${r.status}</span>
+                            <span class="rmp-badge ${r.status}">${r.status}</span>
+                            <span class="rmp-type">${escapeHtml(RMP_TYPES[r.type]?.label || r.type)} · ${r.blockHours} hrs</span>
+                            ${r.statusReason ? `<div class="rmp-reason">Reason: ${escapeHtml(r.statusReason)}</div>` : ""}
                         </div>
                         ${r.notes ? `<div class="rmp-notes">${escapeHtml(r.notes)}</div>` : ""}
+                        ${rollupTags(rmpLogs).length > 0 ? `<div class="tag-list">${renderTagChips(rollupTags(rmpLogs))}</div>` : ""}
                         <div class="rmp-actions">
-                            <form action="/api/rmp/toggle-paid/${r.id}" method="POST" style="display:inline;">
+                            ${
+                              nextStatuses(r).length > 0
+                                ? `
+                            <form action="/api/rmp/status/${r.id}" method="POST" class="rmp-status-form">
                                 <input type="hidden" name="_csrf" value="${csrfToken}">
-                                <button type="submit" class="btn btn-small ${r.status === "paid" ? "btn-primary" : "btn-warning"}">${r.status === "paid" ? "Unpay" : "Mark Paid"}</button>
+                                <input type="text" name="reason" placeholder="Reason (optional)" maxlength="500" class="rmp-reason-input">
+                                ${nextStatuses(r)
+                                  .map(
+                                    (next) =>
+                                      `<button type="submit" name="status" value="${next}" class="btn btn-small ${RMP_STATUS_ACTIONS[next].className}">${RMP_STATUS_ACTIONS[next].label}</button>`,
+                                  )
+                                  .join("")}
                             </form>
-                            <form action="/api/rmp/delete/${r.id}" method="POST" onsubmit="return confirm('Unsubmit this RMP?')" style="display:inline;">
+                            `
+                                : ""
+                            }
+                            <a href="/api/rmp/print/${r.id}" target="_blank" class="btn btn-small btn-secondary" title="Printable summary">Print</a>
+                            ${
+                              UNSUBMITTABLE_RMP_STATUSES.includes(r.status)
+                                ? `<form action="/api/rmp/delete/${r.id}" method="POST" onsubmit="return confirm('Unsubmit this RMP?')" style="display:inline;">
                                 <input type="hidden" name="_csrf" value="${csrfToken}">
                                 <button type="submit" class="btn btn-small btn-danger">&times;</button>
-                            </form>
+                            </form>`
+                                : ""
+                            }
+                        </div>
+                        <div class="rmp-details">
+                            <details class="rmp-logs">
+                                <summary>Logs (${rmpLogs.length} · ${cleanNum(rmpLogs.reduce((s, l) => s + l.hours, 0))} hrs)</summary>
+                                <ul class="rmp-log-list">
+                                    ${rmpLogs
+                                      .map(
+                                        (l) => `
+                                    <li>
+                                        <a href="${logHref(l)}">${formatDate(l.start, timeZone)}</a>
+                                        <span class="rmp-log-time">${formatLogTimeRange(l, timeZone)}</span>
+                                        <span class="rmp-log-hours">${l.hours}h${isPartialLog(l) ? " (partial)" : ""}</span>
+                                        ${l.note ? `<div class="rmp-log-note">${escapeHtml(l.note)}</div>` : ""}
+                                    </li>`,
+                                      )
+                                      .join("")}
+                                </ul>
+                            </details>
+                            <details>
+                                <summary>History</summary>
+                                <ol class="rmp-timeline">
+                                    ${(eventsByRmp.get(r.id) || [])
+                                      .map(
+                                        (e) => `
+                                    <li>
+                                        <span class="rmp-timeline-date">${e.createdAt.toLocaleString("en-US", { dateStyle: "medium", timeStyle: "short", timeZone })}</span>
+                                        <span class="rmp-timeline-text">${escapeHtml(describeRmpEvent(e))}</span>
+                                        ${e.reason ? `<div class="rmp-timeline-reason">${escapeHtml(e.reason)}</div>` : ""}
+                                    </li>`,
+                                      )
+                                      .join("")}
+                                </ol>
+                            </details>
+                            <details>
+                                <summary>Edit notes</summary>
+                                <form action="/api/rmp/notes/${r.id}" method="POST" class="rmp-notes-form">
+                                    <input type="hidden" name="_csrf" value="${csrfToken}">
+                                    <textarea name="notes" rows="4" maxlength="5000">${escapeHtml(r.notes || "")}</textarea>
+                                    <button type="submit" class="btn btn-small btn-primary">Save notes</button>
+                                </form>
+                            </details>
                         </div>
                     </div>
                 `;
                         })
                         .join("")
-                    : '<p style="color:#999; text-align:center; padding:20px;">No submitted RMPs yet</p>'
+                    : `<p style="color:#999; text-align:center; padding:20px;">${hasActiveFilters(rmpFilters) ? "No RMPs match these filters" : "No submitted RMPs yet"}</p>`
                 }
+                ${pagerLinks(rmpFilters.cursor, rmpPage.nextCursor, "rmpCursor", "rmpsSection")}
 
                 <h2 id="historySection" class="section-title">History</h2>
+                <form method="GET" action="/api#historySection" class="list-filters">
+                    ${listHiddenInputs("rmp", rmpFilters)}
+                    <input type="date" name="logFrom" value="${logFilters.from}" aria-label="From date">
+                    <input type="date" name="logTo" value="${logFilters.to}" aria-label="To date">
+                    <select name="logBundled" aria-label="Bundled">
+                        <option value="">All entries</option>
+                        <option value="unbundled" ${logFilters.bundled === "unbundled" ? "selected" : ""}>Unbundled</option>
+                        <option value="bundled" ${logFilters.bundled === "bundled" ? "selected" : ""}>Bundled</option>
+                    </select>
+                    <select name="logNote" aria-label="Note">
+                        <option value="">Any note</option>
+                        <option value="with" ${logFilters.note === "with" ? "selected" : ""}>With a note</option>
+                        <option value="without" ${logFilters.note === "without" ? "selected" : ""}>Without a note</option>
+                    </select>
+                    ${
+                      userTags.length > 0
+                        ? `<select name="logTag" aria-label="Tag">
+                        <option value="">Any tag</option>
+                        ${userTags
+                          .map(
+                            (t) =>
+                              `<option value="${escapeHtml(t.name)}" ${t.name === logFilters.tag ? "selected" : ""}>${escapeHtml(t.name)}</option>`,
+                          )
+                          .join("")}
+                    </select>`
+                        : ""
+                    }
+                    <input type="search" name="logQ" value="${escapeHtml(logFilters.q)}" placeholder="Search notes" maxlength="100" aria-label="Search notes">
+                    <select name="logSort" aria-label="Sort">
+                        ${Object.entries(LOG_SORTS)
+                          .map(
+                            ([id, sort]) =>
+                              `<option value="${id}" ${id === logFilters.sort ? "selected" : ""}>${sort.label}</option>`,
+                          )
+                          .join("")}
+                    </select>
+                    <button type="submit" class="btn btn-secondary btn-small">Filter</button>
+                    ${hasActiveFilters(logFilters) ? `<a href="${listUrl({ logFrom: "", logTo: "", logBundled: "", logNote: "", logTag: "", logQ: "", logSort: "", logCursor: "" })}#historySection" class="list-clear">Clear</a>` : ""}
+                </form>
                 <table class="history-table">
                     ${
                       logs.length > 0
                         ? logs
                             .map(
                               (l) => `
-                        <tr class="${l.rmpId ? "locked" : ""} ${editLog && editLog.id === l.id ? "editing" : ""}">
+                        <tr id="log-${l.id}" class="${l.rmpId ? "locked" : ""} ${editLog && editLog.id === l.id ? "editing" : ""}">
                             <td>
-                                <div class="history-date">${l.start.toLocaleDateString()}</div>
-                                <div class="history-time">${l.start.getTime() === l.end.getTime() ? "Manual entry" : l.start.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" }) + " - " + l.end.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}</div>
+                                <div class="history-date">${formatDate(l.start, timeZone)}</div>
+                                <div class="history-time">${formatLogTimeRange(l, timeZone)}</div>
                                 ${l.note ? `<div class="history-note">${escapeHtml(l.note)}</div>` : ""}
+                                ${l.tags.length > 0 ? `<div class="tag-list">${renderTagChips(l.tags.map((t) => t.name))}</div>` : ""}
                             </td>
-                            <td class="history-hours">${l.hours}h</td>
+                            <td class="history-hours">${l.hours}h${isPartialLog(l) ? '<div class="history-partial">partial</div>' : ""}</td>
                             <td class="history-actions">
                                 ${
                                   l.rmpId
-                                    ? '<span style="color:#999;">🔒 Bundled</span>'
+                                    ? `<a href="${rmpHref(l.rmpId, l.rmp.filedDate)}" class="bundled-link" title="View RMP">🔒 ${l.rmp.filedDate.toLocaleDateString("en-US", { timeZone: "UTC" })}</a>`
                                     : `
                                     <a href="/api?edit=${l.id}">✏️</a>
                                     <form action="/api/delete/${l.id}" method="POST" style="display:inline;" onsubmit="return confirm('Delete this entry?')">
@@ -1431,15 +3231,47 @@ app.get("/api", async (req, res) => {
                     `,
                             )
                             .join("")
-                        : '<tr><td colspan="3" style="text-align:center; padding:40px; color:#999;">No entries yet</td></tr>'
+                        : `<tr><td colspan="3" style="text-align:center; padding:40px; color:#999;">${hasActiveFilters(logFilters) ? "No entries match these filters" : "No entries yet"}</td></tr>`
                     }
                 </table>
+                ${pagerLinks(logFilters.cursor, logPage.nextCursor, "logCursor", "historySection")}
+
+                <form action="/api/export" method="GET" class="export-form" data-download>
+                    <span class="export-title">Export CSV</span>
+                    <select name="type" aria-label="Export type">
+                        <option value="logs">Logs</option>
+                        <option value="rmps">RMPs</option>
+                    </select>
+                    <input type="date" name="from" aria-label="From date">
+                    <span style="color:#999;">to</span>
+                    <input type="date" name="to" aria-label="To date">
+                    <button type="submit" class="btn btn-secondary btn-small">Download</button>
+                </form>
             </div>
             <script>
-                document.querySelectorAll('form').forEach(f => f.addEventListener('submit', () => {
+                document.querySelectorAll('form:not([data-download])').forEach(f => f.addEventListener('submit', () => {
                     document.getElementById('loader').style.display = 'flex';
                 }));
 
+                // Times are entered in the member's saved timezone, or the browser's until one is saved
+                const browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+                const clientTimeZoneInput = document.getElementById('clientTimeZone');
+                if (clientTimeZoneInput) clientTimeZoneInput.value = browserTimeZone;
+
+                // Jump between RMP cards and their history rows, expanding the RMP's logs
+                function showLinkedItem() {
+                    if (!/^#(rmp|log)-/.test(location.hash)) return;
+                    const target = document.getElementById(location.hash.slice(1));
+                    if (!target) return;
+                    const details = target.querySelector('.rmp-logs');
+                    if (details) details.open = true;
+                    target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                    target.classList.add('highlight');
+                    setTimeout(() => target.classList.remove('highlight'), 2000);
+                }
+                window.addEventListener('hashchange', showLinkedItem);
+                showLinkedItem();
+
                 // Profile dropdown toggle
                 const profileBtn = document.getElementById('profileBtn');
                 const profileDropdown = document.getElementById('profileDropdown');
@@ -1454,48 +3286,75 @@ app.get("/api", async (req, res) => {
                     profileDropdown.addEventListener('click', (e) => e.stopPropagation());
                 }
 
-                // Timer functionality
+                // Multi-RMP bundling: one filing date per RMP when requested
+                const bundleCount = document.getElementById('bundleCount');
+                const separateDates = document.getElementById('separateDates');
+                const sharedDateGroup = document.getElementById('sharedDateGroup');
+                const separateDateGroup = document.getElementById('separateDateGroup');
+                const bundleAllBtn = document.getElementById('bundleAllBtn');
+                if (bundleCount && separateDates && sharedDateGroup && separateDateGroup) {
+                    const sharedDateInput = sharedDateGroup.querySelector('input[name="filedDate"]');
+
+                    function renderSeparateDates() {
+                        const count = Math.max(1, Math.min(Number(bundleCount.value) || 1, Number(bundleCount.max)));
+                        const existing = Array.from(separateDateGroup.querySelectorAll('input')).map(i => i.value);
+                        separateDateGroup.innerHTML = '';
+                        for (let i = 0; i < count; i++) {
+                            const row = document.createElement('label');
+                            row.className = 'separate-date';
+                            const label = document.createElement('span');
+                            label.textContent = 'RMP ' + (i + 1);
+                            const input = document.createElement('input');
+                            input.type = 'date';
+                            input.name = 'filedDates';
+                            input.required = true;
+                            input.value = existing[i] || sharedDateInput.value;
+                            row.appendChild(label);
+                            row.appendChild(input);
+                            separateDateGroup.appendChild(row);
+                        }
+                    }
+
+                    function updateDateMode() {
+                        const separate = separateDates.checked;
+                        sharedDateGroup.style.display = separate ? 'none' : '';
+                        sharedDateInput.required = !separate;
+                        separateDateGroup.style.display = separate ? '' : 'none';
+                        // Each date is its own RMP, so "Bundle all" doesn't apply
+                        if (bundleAllBtn) bundleAllBtn.style.display = separate ? 'none' : 'block';
+                        if (separate) {
+                            renderSeparateDates();
+                        } else {
+                            separateDateGroup.innerHTML = '';
+                        }
+                    }
+
+                    separateDates.addEventListener('change', updateDateMode);
+                    bundleCount.addEventListener('input', () => {
+                        if (separateDates.checked) renderSeparateDates();
+                    });
+                }
+
+                // Timer functionality. The timer lives on the server (/api/v1/timer) so
+                // it can be started on one device and stopped on another.
                 const timerDisplay = document.getElementById('timerDisplay');
                 const startBtn = document.getElementById('startBtn');
                 const pauseBtn = document.getElementById('pauseBtn');
                 const stopBtn = document.getElementById('stopBtn');
 
                 if (timerDisplay && startBtn && pauseBtn && stopBtn) {
+                    const timerCsrfToken = ${JSON.stringify(csrfToken)};
                     let timerInterval = null;
-                    let timerState = {
-                        status: 'idle', // idle, running, paused
-                        startTime: null,
-                        elapsedMs: 0,
-                        pausedMs: 0
-                    };
-
-                    // Load timer state from localStorage
-                    function loadTimerState() {
-                        const saved = localStorage.getItem('timerState');
-                        if (saved) {
-                            try {
-                                timerState = JSON.parse(saved);
-                                if (timerState.status === 'running') {
-                                    // Calculate elapsed time since page load
-                                    const now = Date.now();
-                                    const actualElapsed = now - new Date(timerState.startTime).getTime();
-                                    timerState.elapsedMs = actualElapsed;
-                                    startInterval();
-                                    updateUI();
-                                } else if (timerState.status === 'paused') {
-                                    updateDisplay();
-                                    updateUI();
-                                }
-                            } catch (e) {
-                                console.error('Failed to load timer state:', e);
-                                resetTimer();
-                            }
-                        }
-                    }
+                    // Server state (idle, running or paused) and when it arrived, so the
+                    // display can tick locally between requests
+                    let timerState = ${JSON.stringify(serializeTimer(timer))};
+                    let syncedAt = Date.now();
+
+                    // Timers used to be kept only in this browser
+                    localStorage.removeItem('timerState');
 
-                    // Save timer state to localStorage
-                    function saveTimerState() {
-                        localStorage.setItem('timerState', JSON.stringify(timerState));
+                    function elapsedMs() {
+                        return timerState.elapsedMs + (timerState.status === 'running' ? Date.now() - syncedAt : 0);
                     }
 
                     // Format milliseconds to HH:MM:SS
@@ -1511,7 +3370,7 @@ app.get("/api", async (req, res) => {
 
                     // Update timer display
                     function updateDisplay() {
-                        timerDisplay.textContent = formatTime(timerState.elapsedMs);
+                        timerDisplay.textContent = formatTime(elapsedMs());
                     }
 
                     // Update UI based on state
@@ -1535,117 +3394,104 @@ app.get("/api", async (req, res) => {
                         }
                     }
 
-                    // Start interval for updating display
-                    function startInterval() {
+                    // Show a timer state from the server
+                    function applyTimer(timer) {
+                        timerState = timer;
+                        syncedAt = Date.now();
                         if (timerInterval) clearInterval(timerInterval);
-                        timerInterval = setInterval(() => {
-                            const now = Date.now();
-                            timerState.elapsedMs = now - new Date(timerState.startTime).getTime();
-                            updateDisplay();
-                            saveTimerState();
-                        }, 100);
+                        timerInterval = timer.status === 'running' ? setInterval(updateDisplay, 1000) : null;
+                        updateDisplay();
+                        updateUI();
                     }
 
-                    // Stop interval
-                    function stopInterval() {
-                        if (timerInterval) {
-                            clearInterval(timerInterval);
-                            timerInterval = null;
-                        }
+                    async function timerRequest(method, path, body) {
+                        const response = await fetch('/api/v1/timer' + path, {
+                            method,
+                            credentials: 'same-origin',
+                            headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': timerCsrfToken },
+                            body: body ? JSON.stringify(body) : undefined
+                        });
+                        return { ok: response.ok, data: response.status === 204 ? {} : await response.json() };
                     }
 
-                    // Reset timer
-                    function resetTimer() {
-                        timerState = {
-                            status: 'idle',
-                            startTime: null,
-                            elapsedMs: 0,
-                            pausedMs: 0
-                        };
-                        timerDisplay.textContent = '00:00:00';
-                        startBtn.textContent = '▶';
-                        startBtn.title = 'Start timer';
-                        updateUI();
-                        saveTimerState();
+                    function setButtonsDisabled() {
+                        startBtn.disabled = true;
+                        pauseBtn.disabled = true;
+                        stopBtn.disabled = true;
                     }
 
-                    // Start button handler
-                    startBtn.addEventListener('click', () => {
-                        if (timerState.status === 'idle') {
-                            timerState.startTime = new Date().toISOString();
-                            timerState.elapsedMs = 0;
-                            timerState.status = 'running';
-                        } else if (timerState.status === 'paused') {
-                            // Resume: adjust start time to account for paused duration
-                            const now = Date.now();
-                            const pausedDuration = now - timerState.pausedMs;
-                            timerState.startTime = new Date(now - timerState.elapsedMs).toISOString();
-                            timerState.status = 'running';
+                    // Start, pause or resume. If another device got there first, the
+                    // response carries the timer as it is now. Offline, the service
+                    // worker queues the action (with when it happened) and answers
+                    // with the timer as it will be.
+                    async function timerAction(action) {
+                        setButtonsDisabled();
+                        try {
+                            const { ok, data } = await timerRequest('POST', '/' + action, { at: new Date().toISOString() });
+                            if (data.timer) applyTimer(data.timer);
+                            if (!ok) alert(data.error ? data.error.message : 'Timer request failed');
+                        } catch (e) {
+                            console.error('Timer request failed:', e);
+                            alert('Could not reach the server. Check your connection and try again.');
                         }
-                        startInterval();
                         updateUI();
-                        saveTimerState();
-                    });
+                    }
 
-                    // Pause button handler
-                    pauseBtn.addEventListener('click', () => {
-                        if (timerState.status === 'running') {
-                            timerState.status = 'paused';
-                            timerState.pausedMs = Date.now();
-                            stopInterval();
-                            updateUI();
-                            saveTimerState();
-                        }
+                    startBtn.addEventListener('click', () => {
+                        timerAction(timerState.status === 'paused' ? 'resume' : 'start');
                     });
 
-                    // Stop button handler
-                    stopBtn.addEventListener('click', () => {
-                        stopInterval();
-
-                        // Populate form with timer data
-                        const startDate = new Date(timerState.startTime);
-                        const endDate = new Date(startDate.getTime() + timerState.elapsedMs);
-
-                        const workDateInput = document.querySelector('input[name="workDate"]');
-                        const startTimeInput = document.querySelector('input[name="startTime"]');
-                        const endTimeInput = document.querySelector('input[name="endTime"]');
-
-                        if (workDateInput && startTimeInput && endTimeInput) {
-                            // Format date as YYYY-MM-DD
-                            const year = startDate.getFullYear();
-                            const month = String(startDate.getMonth() + 1).padStart(2, '0');
-                            const day = String(startDate.getDate()).padStart(2, '0');
-                            workDateInput.value = year + '-' + month + '-' + day;
-
-                            // Format times as HH:MM
-                            const startHours = String(startDate.getHours()).padStart(2, '0');
-                            const startMinutes = String(startDate.getMinutes()).padStart(2, '0');
-                            startTimeInput.value = startHours + ':' + startMinutes;
-
-                            const endHours = String(endDate.getHours()).padStart(2, '0');
-                            const endMinutes = String(endDate.getMinutes()).padStart(2, '0');
-                            endTimeInput.value = endHours + ':' + endMinutes;
-
-                            // Clear manual hours input
-                            const manualHoursInput = document.querySelector('input[name="manualHours"]');
-                            if (manualHoursInput) {
-                                manualHoursInput.value = '';
+                    pauseBtn.addEventListener('click', () => timerAction('pause'));
+
+                    // Stop button handler: logs the time right away, with the note and
+                    // tags filled in on the form
+                    stopBtn.addEventListener('click', async () => {
+                        const form = stopBtn.closest('.card').querySelector('form');
+                        const body = {
+                            note: form.querySelector('input[name="note"]').value,
+                            tags: Array.from(form.querySelectorAll('input[name="tags"]:checked')).map(input => input.value),
+                            newTags: form.querySelector('input[name="newTags"]').value,
+                            at: new Date().toISOString()
+                        };
+                        setButtonsDisabled();
+                        try {
+                            const { ok, data } = await timerRequest('POST', '/stop', body);
+                            if (ok) {
+                                window.location.reload();
+                                return;
+                            }
+                            if (data.error && data.error.code === 'invalid_timer' && elapsedMs() > 24 * 3600000) {
+                                if (confirm(data.error.message + '. Discard the timer now?')) {
+                                    await timerRequest('DELETE', '');
+                                    applyTimer({ status: 'idle', segments: [], elapsedMs: 0 });
+                                }
+                            } else {
+                                alert(data.error ? data.error.message : 'Could not stop the timer');
+                                await refreshTimer();
                             }
+                        } catch (e) {
+                            console.error('Timer request failed:', e);
+                            alert('Could not reach the server. Check your connection and try again.');
                         }
+                        updateUI();
+                    });
 
-                        // Reset timer
-                        resetTimer();
-                        localStorage.removeItem('timerState');
-
-                        // Focus on submit button
-                        const submitBtn = document.querySelector('.card form button[type="submit"]');
-                        if (submitBtn) {
-                            submitBtn.focus();
+                    // Pick up changes made on other devices when coming back to the app
+                    async function refreshTimer() {
+                        try {
+                            const { ok, data } = await timerRequest('GET', '');
+                            if (ok) applyTimer(data.timer);
+                        } catch (e) {
+                            console.error('Failed to refresh timer:', e);
                         }
+                    }
+
+                    document.addEventListener('visibilitychange', () => {
+                        if (document.visibilityState === 'visible') refreshTimer();
                     });
 
                     // Initialize timer on page load
-                    loadTimerState();
+                    applyTimer(timerState);
                 }
 
                 // Register service worker for PWA
@@ -1655,6 +3501,101 @@ app.get("/api", async (req, res) => {
                         .catch(err => console.error('SW registration failed:', err));
                 }
 
+                // Entries logged or edited while offline wait in the service worker's
+                // queue until they sync; list them and let conflicts be resolved here
+                if ('serviceWorker' in navigator) {
+                    const syncQueueCard = document.getElementById('syncQueueCard');
+                    const syncQueueList = document.getElementById('syncQueueList');
+
+                    function postToWorker(message) {
+                        navigator.serviceWorker.ready.then(reg => reg.active.postMessage(message));
+                    }
+
+                    function describeQueued(entry) {
+                        if (entry.json) {
+                            const action = entry.url.split('/').pop();
+                            const at = new Date(JSON.parse(entry.body).at);
+                            return 'Timer ' + action + ' at ' + at.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+                        }
+                        const form = new URLSearchParams(entry.body);
+                        const time = form.get('startTime') && form.get('endTime')
+                            ? form.get('startTime') + '–' + form.get('endTime')
+                            : (form.get('manualHours') || '?') + ' hrs';
+                        const kind = entry.url.indexOf('/api/update/') !== -1 ? 'Edit' : 'New entry';
+                        return kind + ': ' + form.get('workDate') + ' · ' + time + (form.get('note') ? ' · ' + form.get('note') : '');
+                    }
+
+                    function queueButton(label, message) {
+                        const button = document.createElement('button');
+                        button.type = 'button';
+                        button.className = 'btn btn-small btn-secondary';
+                        button.textContent = label;
+                        button.addEventListener('click', () => postToWorker(message));
+                        return button;
+                    }
+
+                    function renderSyncQueue(entries) {
+                        syncQueueList.replaceChildren(...entries.map(entry => {
+                            const item = document.createElement('li');
+                            item.className = 'sync-queue-item ' + entry.status;
+                            const summary = document.createElement('div');
+                            summary.textContent = describeQueued(entry);
+                            const detail = document.createElement('div');
+                            detail.className = 'sync-queue-detail';
+                            detail.textContent = entry.status === 'pending'
+                                ? 'Saved ' + new Date(entry.queuedAt).toLocaleString() + ', waiting for a connection'
+                                : entry.error;
+                            item.append(summary, detail);
+                            if (entry.status === 'conflict') {
+                                item.append(
+                                    queueButton('Keep my edit', { type: 'retry', id: entry.id, overwrite: true }),
+                                    queueButton('Keep the other change', { type: 'discard', id: entry.id })
+                                );
+                            } else if (entry.status === 'failed') {
+                                item.append(
+                                    queueButton('Retry', { type: 'retry', id: entry.id }),
+                                    queueButton('Discard', { type: 'discard', id: entry.id })
+                                );
+                            } else if (entry.status === 'held') {
+                                item.append(
+                                    queueButton('Add to my account', { type: 'retry', id: entry.id }),
+                                    queueButton('Discard', { type: 'discard', id: entry.id })
+                                );
+                            }
+                            return item;
+                        }));
+                        syncQueueCard.hidden = entries.length === 0;
+                    }
+
+                    navigator.serviceWorker.addEventListener('message', (event) => {
+                        if (!event.data || event.data.type !== 'queue') return;
+                        // Show the entries that just synced
+                        if (event.data.synced > 0) {
+                            window.location.reload();
+                            return;
+                        }
+                        renderSyncQueue(event.data.entries);
+                    });
+
+                    // Background Sync isn't supported everywhere, so also replay on
+                    // reconnect. Replaying also refreshes the copy the offline dashboard uses.
+                    postToWorker({ type: navigator.onLine ? 'replay' : 'queue' });
+                    window.addEventListener('online', () => postToWorker({ type: 'replay' }));
+                }
+
+                // Say so when the connection drops while the dashboard is open
+                const offlineBanner = document.getElementById('offlineBanner');
+                const pageLoadedAt = new Date();
+                function updateOfflineBanner() {
+                    offlineBanner.hidden = navigator.onLine;
+                    offlineBanner.textContent = 'Offline · showing data as of ' +
+                        pageLoadedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) +
+                        '. New entries and timer changes will sync when you reconnect.';
+                }
+                window.addEventListener('online', updateOfflineBanner);
+                window.addEventListener('offline', updateOfflineBanner);
+                updateOfflineBanner();
+
                 // PWA install prompt handling
                 let deferredPrompt;
                 const installBtn = document.getElementById('installBtn');
@@ -1711,7 +3652,7 @@ app.get("/api", async (req, res) => {
                             element: '.timer-inline',
                             popover: {
                                 title: 'Track Time Live',
-                                description: 'Hit play when you start working. The timer keeps running even if you close the app!',
+                                description: 'Hit play when you start working. The timer keeps running even if you close the app, and you can stop it from any device!',
                                 side: 'bottom',
                                 align: 'center'
                             }
@@ -1720,7 +3661,7 @@ app.get("/api", async (req, res) => {
                             element: '#logHoursCard',
                             popover: {
                                 title: 'Log Your Hours',
-                                description: 'Enter a time range, type hours manually, or hit stop on the timer to fill it in. Add a note if you like!',
+                                description: 'Enter a time range or type hours manually. Stopping the timer logs its time straight away. Add a note if you like!',
                                 side: 'top',
                                 align: 'center'
                             }
@@ -1729,7 +3670,7 @@ app.get("/api", async (req, res) => {
                             element: '#rmpsSection',
                             popover: {
                                 title: 'Track Your RMPs',
-                                description: 'See all your submitted RMPs here. Mark them paid once the money hits!',
+                                description: 'See all your submitted RMPs here. Mark them paid once the money hits, or record a denial and resubmit.',
                                 side: 'top',
                                 align: 'center'
                             }
@@ -1761,7 +3702,7 @@ app.get("/api", async (req, res) => {
                             element: '#bundleCard',
                             popover: {
                                 title: 'Ready to Bundle!',
-                                description: 'You\\'ve got 3+ hours! Bundle them into an RMP and submit.',
+                                description: 'You\\'ve got enough hours for an RMP! Pick the RMP type, then bundle and submit.',
                                 side: 'bottom',
                                 align: 'center'
                             }
@@ -1824,7 +3765,7 @@ app.get("/api", async (req, res) => {
 });
 
 // LOGIC HELPERS
-const getTimes = (body) => {
+const getTimes = (body, timeZone = DEFAULT_TIME_ZONE) => {
   const { workDate, startTime, endTime, manualHours, note } = body;
 
   // Validate workDate
@@ -1840,7 +3781,8 @@ const getTimes = (body) => {
     if (!isValidNumber(manualHours, 0, 24)) {
       throw new Error("Invalid manual hours (must be between 0 and 24)");
     }
-    const d = new Date(`${workDate}T12:00:00`);
+    // Manual entries sit at noon so the date reads the same in nearby timezones
+    const d = zonedTimeToUtc(workDate, "12:00", timeZone);
     return {
       hours: cleanNum(Number.parseFloat(manualHours)),
       start: d,
@@ -1857,9 +3799,11 @@ const getTimes = (body) => {
     throw new Error("Invalid time format (must be HH:MM)");
   }
 
-  const start = new Date(`${workDate}T${startTime}:00`);
-  let end = new Date(`${workDate}T${endTime}:00`);
-  if (end < start) end.setDate(end.getDate() + 1);
+  // An end time earlier than the start means the session ran past midnight.
+  // Hours are the real elapsed time, so DST changes overnight are accounted for.
+  const start = zonedTimeToUtc(workDate, startTime, timeZone);
+  const endDate = endTime < startTime ? addDays(workDate, 1) : workDate;
+  const end = zonedTimeToUtc(endDate, endTime, timeZone);
 
   // Validate that duration is reasonable (not negative, not more than 24 hours)
   const hours = cleanNum((end - start) / 3600000);
@@ -1870,6 +3814,550 @@ const getTimes = (body) => {
   return { hours, start, end, note: processedNote };
 };
 
+// Parse a filing date string (YYYY-MM-DD) at UTC midnight for timezone independence
+const parseFiledDate = (str) => {
+  const [year, month, day] = str.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+// Most RMPs that can be created in one bundling request
+const MAX_BUNDLE_COUNT = 50;
+
+// Merge the notes of bundled logs into a bullet list for the RMP
+const mergeBundleNotes = (parts) => {
+  const notes = parts.map((p) => p.log.note).filter(Boolean);
+  return notes.length > 0 ? notes.map((n) => `• ${n}`).join("\n") : null;
+};
+
+// Plan how the oldest unbundled logs fill up to `count` RMPs of `blockHours` each.
+// A log that straddles two RMPs is split, and its note and tags go on both.
+// Returns one entry per RMP: { parts: [{ log, hours }], notes }.
+const planRmpBundles = (logs, blockHours, count) => {
+  const queue = logs.map((log) => ({ log, remaining: log.hours }));
+  const bundles = [];
+  let i = 0;
+  while (bundles.length < count) {
+    const available = cleanNum(queue.slice(i).reduce((s, q) => s + q.remaining, 0));
+    if (available < blockHours) break;
+
+    const parts = [];
+    let needed = blockHours;
+    while (needed > 0 && i < queue.length) {
+      const q = queue[i];
+      const hours = cleanNum(Math.min(q.remaining, needed));
+      parts.push({ log: q.log, hours });
+      needed = cleanNum(needed - hours);
+      q.remaining = cleanNum(q.remaining - hours);
+      if (q.remaining <= 0) i++;
+    }
+    bundles.push({ parts, notes: mergeBundleNotes(parts) });
+  }
+  return bundles;
+};
+
+// Create the planned RMPs inside a transaction, attaching (and splitting) logs.
+// filedDates holds one Date per bundle.
+const applyRmpBundles = async (tx, userId, bundles, filedDates, rmpType) => {
+  const blockHours = RMP_TYPES[rmpType].hours;
+  // Original log ID -> the row currently holding its unbundled hours
+  const openRows = new Map();
+  const rmps = [];
+
+  for (const [n, bundle] of bundles.entries()) {
+    const rmp = await tx.rmp.create({
+      data: { userId, filedDate: filedDates[n], notes: bundle.notes, type: rmpType, blockHours },
+    });
+    await tx.rmpEvent.create({
+      data: { rmpId: rmp.id, userId, actorId: userId, type: "created", toStatus: rmp.status },
+    });
+
+    for (const { log, hours } of bundle.parts) {
+      const row = openRows.get(log.id) ?? { id: log.id, hours: log.hours };
+      if (hours >= row.hours) {
+        await tx.log.update({ where: { id: row.id }, data: { rmpId: rmp.id } });
+        openRows.delete(log.id);
+      } else {
+        await tx.log.update({ where: { id: row.id }, data: { hours, rmpId: rmp.id } });
+        const remainder = await tx.log.create({
+          data: {
+            userId,
+            hours: cleanNum(row.hours - hours),
+            start: log.start,
+            end: log.end,
+            note: log.note,
+            tags: { connect: log.tags.map(({ id }) => ({ id })) },
+          },
+        });
+        openRows.set(log.id, { id: remainder.id, hours: remainder.hours });
+      }
+    }
+    rmps.push(rmp);
+  }
+  return rmps;
+};
+
+// Bundle the oldest unbundled hours into one or more RMPs of the given type in a
+// single transaction. Pass one filing date to share it across all RMPs, or one
+// per RMP (in which case the number of dates sets the count). A count of "all"
+// bundles every available block; otherwise every requested RMP is created or none.
+// Returns the created RMPs (empty if there aren't enough unbundled hours).
+const bundleRmps = (userId, { filedDates, count = 1, rmpType = DEFAULT_RMP_TYPE }) =>
+  prisma.$transaction(async (tx) => {
+    const earned = await tx.log.findMany({
+      where: { userId, rmpId: null },
+      orderBy: { start: "asc" },
+      include: { tags: true },
+    });
+    const all = filedDates.length === 1 && count === "all";
+    const wanted = filedDates.length > 1 ? filedDates.length : all ? MAX_BUNDLE_COUNT : count;
+    const bundles = planRmpBundles(earned, RMP_TYPES[rmpType].hours, wanted);
+    if (!all && bundles.length < wanted) {
+      return [];
+    }
+
+    const dates = bundles.map((_, n) => parseFiledDate(filedDates[n] ?? filedDates[0]));
+    return applyRmpBundles(tx, userId, bundles, dates, rmpType);
+  });
+
+// Parse the requested RMP count: a positive integer or "all"
+const parseBundleCount = (value) => {
+  if (value === undefined || value === "") return 1;
+  if (value === "all") return "all";
+  if (!isValidNumber(value, 1, MAX_BUNDLE_COUNT) || !Number.isInteger(Number(value))) {
+    throw new Error(`Invalid RMP count (must be 1-${MAX_BUNDLE_COUNT} or "all")`);
+  }
+  return Number(value);
+};
+
+// Normalize filing date input (a single date or a list of dates) to an array
+const parseFiledDates = (single, list) => {
+  const dates = list === undefined ? [single] : [].concat(list);
+  if (dates.length === 0 || dates.length > MAX_BUNDLE_COUNT || !dates.every(isValidDate)) {
+    throw new Error("Invalid filing date format");
+  }
+  return dates;
+};
+
+// A hand-picked selection that can't be bundled; the message is safe to show
+class BundleSelectionError extends Error {}
+
+// Build a single RMP from hand-picked logs. `selections` maps log ID -> hours
+// to take from that log (all of it, or part of it, which splits the log).
+// The selected hours must add up to exactly one block.
+const planManualBundle = (logs, selections, blockHours, timeZone = DEFAULT_TIME_ZONE) => {
+  if (selections.size === 0) {
+    throw new BundleSelectionError("Select at least one log");
+  }
+  const parts = [];
+  for (const [id, hours] of selections) {
+    const log = logs.find((l) => l.id === id);
+    if (!log) {
+      throw new BundleSelectionError("Invalid log selection (not found or already bundled)");
+    }
+    if (!isValidNumber(hours, 0, log.hours) || (Number(hours) === 0 && log.hours > 0)) {
+      throw new BundleSelectionError(
+        `Invalid hours for the ${formatDate(log.start, timeZone)} log (0-${log.hours})`,
+      );
+    }
+    parts.push({ log, hours: cleanNum(Number(hours)) });
+  }
+  parts.sort((a, b) => a.log.start - b.log.start);
+
+  const total = cleanNum(parts.reduce((s, p) => s + p.hours, 0));
+  if (total !== blockHours) {
+    throw new BundleSelectionError(
+      `Selected hours (${total}) must equal the ${blockHours}-hour block`,
+    );
+  }
+  return { parts, notes: mergeBundleNotes(parts) };
+};
+
+// Read log selections from the bundling form: checked log IDs in `selected`
+// and optional partial hours in `hours[<id>]` (blank means the whole log).
+const parseBundleSelections = (body, logs) => {
+  const selections = new Map();
+  for (const id of [].concat(body.selected ?? [])) {
+    if (!isValidUUID(id)) {
+      throw new Error("Invalid log ID");
+    }
+    const hours = body.hours?.[id];
+    const log = logs.find((l) => l.id === id);
+    selections.set(id, hours === undefined || hours === "" ? log?.hours : hours);
+  }
+  return selections;
+};
+
+// Create one RMP from hand-picked logs in a transaction. Throws a
+// BundleSelectionError if the selection is invalid (e.g. the total doesn't match
+// the block size, or a log was bundled since it was picked).
+const bundleSelectedLogs = (userId, selections, filedDateStr, rmpType, timeZone) =>
+  prisma.$transaction(async (tx) => {
+    const logs = await tx.log.findMany({
+      where: { id: { in: [...selections.keys()] }, userId, rmpId: null },
+      include: { tags: true },
+    });
+    const bundle = planManualBundle(logs, selections, RMP_TYPES[rmpType].hours, timeZone);
+    const [rmp] = await applyRmpBundles(
+      tx,
+      userId,
+      [bundle],
+      [parseFiledDate(filedDateStr)],
+      rmpType,
+    );
+    return rmp;
+  });
+
+// Delete an RMP and release its logs, merging split logs back together.
+// The history trail is kept with an "unsubmitted" event. Resolves false, and
+// changes nothing, unless the RMP is (still) in an unsubmittable status.
+const unsubmitRmp = (rmp, actorId) =>
+  prisma.$transaction(async (tx) => {
+    const userId = rmp.userId;
+    const { count } = await tx.rmp.deleteMany({
+      where: { id: rmp.id, status: { in: UNSUBMITTABLE_RMP_STATUSES } },
+    });
+    if (count === 0) return false;
+    await tx.rmpEvent.create({
+      data: { rmpId: rmp.id, userId, actorId, type: "unsubmitted", fromStatus: rmp.status },
+    });
+    // Consolidation: Merge logs with identical start/end/user that are now unbundled
+    const logs = await tx.log.findMany({
+      where: { userId, rmpId: null },
+      orderBy: { start: "asc" },
+    });
+    for (let i = 0; i < logs.length - 1; i++) {
+      const a = logs[i];
+      const b = logs[i + 1];
+      if (a.start.getTime() === b.start.getTime() && a.end.getTime() === b.end.getTime()) {
+        await tx.log.update({
+          where: { id: a.id },
+          data: { hours: cleanNum(a.hours + b.hours) },
+        });
+        await tx.log.delete({ where: { id: b.id } });
+        logs.splice(i + 1, 1);
+        i--;
+      }
+    }
+    return true;
+  });
+
+// CSV export: quote every field and neutralize spreadsheet formulas
+// (cells starting with = + - @ are prefixed with ') to prevent CSV injection
+const csvField = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+const csvRow = (fields) => fields.map(csvField).join(",") + "\r\n";
+
+// Rows fetched per query while streaming an export
+const EXPORT_BATCH_SIZE = 500;
+
+// Export columns per type. Logs are filtered by start time, RMPs by filing date.
+const EXPORT_TYPES = {
+  logs: {
+    model: "log",
+    dateField: "start",
+    include: { rmp: { select: { id: true, status: true } }, tags: { select: { name: true } } },
+    header: ["date", "start", "end", "hours", "note", "rmp_id", "rmp_status", "tags"],
+    row: (l, timeZone) => [
+      toDateInput(l.start, timeZone),
+      // Manual entries have no real start/end time
+      l.start.getTime() === l.end.getTime() ? null : l.start,
+      l.start.getTime() === l.end.getTime() ? null : l.end,
+      l.hours,
+      l.note,
+      l.rmp?.id,
+      l.rmp?.status,
+      sortTagNames(l.tags.map((t) => t.name)).join("; "),
+    ],
+  },
+  rmps: {
+    model: "rmp",
+    dateField: "filedDate",
+    include: { logs: { select: { hours: true, tags: { select: { name: true } } } } },
+    header: ["id", "filed_date", "type", "status", "status_reason", "notes", "total_hours", "tags"],
+    row: (r) => [
+      r.id,
+      r.filedDate.toISOString().split("T")[0],
+      r.type,
+      r.status,
+      r.statusReason,
+      r.notes,
+      cleanNum(r.logs.reduce((s, l) => s + l.hours, 0)),
+      rollupTags(r.logs).join("; "),
+    ],
+  },
+};
+
+// Parse the export date range (YYYY-MM-DD, both ends inclusive) into a Prisma filter.
+// Days run midnight to midnight in `timeZone` (UTC for RMP filing dates).
+const parseExportRange = (from, to, timeZone) => {
+  if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+    throw new Error("Invalid date format");
+  }
+  const range = {};
+  if (from) range.gte = zonedTimeToUtc(from, "00:00", timeZone);
+  if (to) range.lt = zonedTimeToUtc(addDays(to, 1), "00:00", timeZone);
+  if (range.gte && range.lt && range.gte >= range.lt) {
+    throw new Error("Start date must be on or before end date");
+  }
+  return range;
+};
+
+// Write to a response, waiting for the client to catch up when its buffer is full.
+// Throws if the client goes away first.
+const writeChunk = async (res, chunk) => {
+  if (res.write(chunk)) return;
+  await new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+  if (res.destroyed) {
+    throw new Error("Client closed the connection");
+  }
+};
+
+// Stream a user's rows as CSV in batches so large histories don't sit in memory
+const streamCsvExport = async (res, userId, exportType, range, timeZone) => {
+  const { model, dateField, include, header, row } = EXPORT_TYPES[exportType];
+  const where = { userId };
+  if (range.gte || range.lt) where[dateField] = range;
+
+  await writeChunk(res, csvRow(header));
+  let cursor;
+  for (;;) {
+    const batch = await prisma[model].findMany({
+      where,
+      include,
+      orderBy: [{ [dateField]: "asc" }, { id: "asc" }],
+      take: EXPORT_BATCH_SIZE,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    });
+    await writeChunk(res, batch.map((record) => csvRow(row(record, timeZone))).join(""));
+    if (batch.length < EXPORT_BATCH_SIZE) break;
+    cursor = batch[batch.length - 1].id;
+  }
+  res.end();
+};
+
+// IMPORT
+// Most rows accepted in one import. 1000 rows with 500-character plain-text
+// notes fit in IMPORT_BODY_LIMIT; a post over it gets an error on the import page.
+const MAX_IMPORT_ROWS = 1000;
+
+// Column names accepted in CSV headers and JSON keys, mapped to getTimes fields
+const IMPORT_FIELDS = {
+  workdate: "workDate",
+  date: "workDate",
+  starttime: "startTime",
+  start: "startTime",
+  endtime: "endTime",
+  end: "endTime",
+  manualhours: "manualHours",
+  hours: "manualHours",
+  note: "note",
+  notes: "note",
+  tags: "tags",
+  tag: "tags",
+};
+
+// Undo the ' that csvField puts in front of cells that look like formulas
+const uncsvField = (text) => (/^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text);
+
+// Minimal RFC 4180 CSV parser: quoted fields, "" escapes, CRLF or LF line endings
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) {
+    throw new Error("Unterminated quoted field");
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  // Drop blank lines
+  return rows.filter((r) => r.some((f) => f.trim() !== ""));
+};
+
+// Map a raw record's keys onto getTimes fields (unknown columns are ignored).
+// Tags come as a list, or as names separated by ";" or "," (as exported).
+const normalizeImportRecord = (record) => {
+  const out = {};
+  for (const [key, value] of Object.entries(record)) {
+    const field = IMPORT_FIELDS[key.toLowerCase().replace(/[^a-z]/g, "")];
+    if (!field || value === null || value === undefined || out[field] !== undefined) continue;
+    if (field === "tags") {
+      out.tags = Array.isArray(value) ? value : String(value).split(/[;,]/);
+    } else {
+      out[field] = String(value).trim();
+    }
+  }
+  return out;
+};
+
+// Exported logs give start and end as ISO timestamps
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T/;
+
+// Validate one import row into log fields and tag names. Hours count as manual
+// hours only when the row has no start or end; with them, hours are the time
+// between (or, for a piece of a split log, the hours given, up to that).
+const parseImportRow = (input, timeZone) => {
+  const { startTime, endTime, manualHours, tags, ...rest } = input;
+  const tagNames = parseTagNames({ tags: tags ?? [] });
+  if (!startTime && !endTime) {
+    return { log: getTimes({ ...rest, manualHours }, timeZone), tags: tagNames };
+  }
+  if (!ISO_TIMESTAMP.test(startTime ?? "") && !ISO_TIMESTAMP.test(endTime ?? "")) {
+    return { log: getTimes({ ...rest, startTime, endTime }, timeZone), tags: tagNames };
+  }
+
+  const start = new Date(startTime);
+  const end = new Date(endTime);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw new Error("Invalid start or end timestamp");
+  }
+  const elapsed = cleanNum((end - start) / 3600000);
+  if (elapsed <= 0 || elapsed > 24) {
+    throw new Error("Invalid time range (must be between 0 and 24 hours)");
+  }
+  if (manualHours && !isValidNumber(manualHours, 0, elapsed)) {
+    throw new Error(`Invalid hours (must be between 0 and ${elapsed})`);
+  }
+  const hours = manualHours ? cleanNum(Number.parseFloat(manualHours)) : elapsed;
+  const note = rest.note?.trim()?.slice(0, 500) || null;
+  return { log: { hours, start, end, note }, tags: tagNames };
+};
+
+// Turn uploaded CSV or JSON text into a list of records. JSON may be an array
+// of objects or { logs: [...] }; CSV needs a header row.
+const parseImportText = (text, format) => {
+  const trimmed = text.trim();
+  if (!trimmed) {
+    throw new Error("Nothing to import");
+  }
+  const isJson = format === "json" || (format !== "csv" && /^[[{]/.test(trimmed));
+  let records;
+  if (isJson) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch {
+      throw new Error("Invalid JSON");
+    }
+    records = Array.isArray(data) ? data : data?.logs;
+    if (!Array.isArray(records) || !records.every((r) => r && typeof r === "object")) {
+      throw new Error("JSON must be an array of log objects");
+    }
+  } else {
+    const [header, ...rows] = parseCsv(trimmed);
+    records = rows.map((r) =>
+      Object.fromEntries(header.map((h, i) => [h, uncsvField(r[i] ?? "")])),
+    );
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw new Error(`Too many rows (max ${MAX_IMPORT_ROWS})`);
+  }
+  return records.map(normalizeImportRecord);
+};
+
+// Dry run: validate every record and flag logs that already exist (or repeat
+// earlier in the file) with the same start, end and hours.
+// Returns one entry per row: { row, input, log?, tags?, error?, duplicate }.
+const previewImport = async (userId, records, timeZone) => {
+  const rows = records.map((input, i) => {
+    try {
+      return { row: i + 1, input, ...parseImportRow(input, timeZone), duplicate: false };
+    } catch (error) {
+      return { row: i + 1, input, error: error.message, duplicate: false };
+    }
+  });
+
+  const starts = rows.filter((r) => r.log).map((r) => r.log.start);
+  const existing = starts.length
+    ? await prisma.log.findMany({
+        where: { userId, start: { in: starts } },
+        select: { start: true, end: true, hours: true },
+      })
+    : [];
+  // Manual entries all sit at noon, so hours tell same-day entries apart
+  const logKey = (l) => `${l.start.getTime()}-${l.end.getTime()}-${l.hours}`;
+  const seen = new Set(existing.map(logKey));
+  for (const r of rows) {
+    if (!r.log) continue;
+    const key = logKey(r.log);
+    r.duplicate = seen.has(key);
+    seen.add(key);
+  }
+  return rows;
+};
+
+// Create the valid, non-duplicate rows. Refuses if any row has an error so a
+// file is never half imported. Returns the number of logs created.
+const commitImport = async (userId, rows) => {
+  if (rows.some((r) => r.error)) {
+    throw new Error("Fix the rows with errors before importing");
+  }
+  const toImport = rows.filter((r) => !r.duplicate);
+  if (toImport.length === 0) return 0;
+  const names = sortTagNames(toImport.flatMap((r) => r.tags));
+  const tagIds = new Map();
+  if (names.length > 0) {
+    await resolveTags(userId, names);
+    const tags = await prisma.tag.findMany({
+      where: { userId, name: { in: names, mode: "insensitive" } },
+    });
+    for (const tag of tags) tagIds.set(tag.name.toLowerCase(), tag.id);
+  }
+  const created = await prisma.$transaction(
+    toImport.map((r) =>
+      prisma.log.create({
+        data: {
+          ...r.log,
+          userId,
+          tags: { connect: r.tags.map((name) => ({ id: tagIds.get(name.toLowerCase()) })) },
+        },
+      }),
+    ),
+  );
+  return created.length;
+};
+
 // HANDLERS
 app.post("/api/add", requireAuth, async (req, res) => {
   try {
@@ -1879,10 +4367,25 @@ app.post("/api/add", requireAuth, async (req, res) => {
     }
 
     // Validate and parse input
-    const data = getTimes(req.body);
+    const data = getTimes(req.body, await resolveTimeZone(req));
+    const tags = await resolveTags(req.user.id, parseTagNames(req.body) ?? []);
+
+    // Offline submissions carry an ID from the service worker. One that already
+    // reached the server (and lost its response) succeeds without a second log.
+    const clientId = isValidUUID(req.body.clientId) ? req.body.clientId.toLowerCase() : null;
+    if (clientId && (await prisma.log.count({ where: { userId: req.user.id, clientId } })) > 0) {
+      return res.redirect("/api");
+    }
 
     // Create log entry
-    await prisma.log.create({ data: { ...data, userId: req.user.id } });
+    try {
+      await prisma.log.create({
+        data: { ...data, userId: req.user.id, clientId, tags: { connect: tags } },
+      });
+    } catch (error) {
+      // The same submission arrived twice at once
+      if (!(clientId && error.code === "P2002")) throw error;
+    }
     res.redirect("/api");
   } catch (error) {
     console.error("Error in /api/add:", error);
@@ -1902,18 +4405,32 @@ app.post("/api/update/:id", requireAuth, async (req, res) => {
       return res.status(400).send("Invalid log ID");
     }
 
+    // Version the edit was made against (the log's updatedAt when the form loaded)
+    const version = req.body.version ? new Date(req.body.version) : null;
+    if (version && Number.isNaN(version.getTime())) {
+      return res.status(400).send("Invalid version");
+    }
+
     // Validate and parse input
-    const data = getTimes(req.body);
+    const data = getTimes(req.body, await resolveTimeZone(req));
+    const tagNames = parseTagNames(req.body);
 
-    // Update log (only if it belongs to user and is not locked)
+    // Update log (only if it belongs to user, is not locked and hasn't changed since)
+    const where = { id: req.params.id, userId: req.user.id, rmpId: null };
     const result = await prisma.log.updateMany({
-      where: { id: req.params.id, userId: req.user.id, rmpId: null },
+      where: { ...where, ...(version && { updatedAt: version }) },
       data,
     });
 
     if (result.count === 0) {
+      if (version && (await prisma.log.count({ where })) > 0) {
+        return res.status(409).send("This entry was changed elsewhere after this edit was made");
+      }
       return res.status(404).send("Log entry not found or locked");
     }
+    if (tagNames) {
+      await setLogTags(req.params.id, req.user.id, tagNames);
+    }
 
     res.redirect("/api");
   } catch (error) {
@@ -1929,60 +4446,24 @@ app.post("/api/submit-unit", requireAuth, async (req, res) => {
       return res.status(403).send("Invalid CSRF token");
     }
 
-    // Validate filedDate
-    if (!isValidDate(req.body.filedDate)) {
-      return res.status(400).send("Invalid filing date format");
-    }
+    // Validate filing date(s): one shared date, or one per RMP when "separate dates" is on
+    const filedDates = parseFiledDates(
+      req.body.filedDate,
+      req.body.separateDates ? req.body.filedDates : undefined,
+    );
 
-    const earned = await prisma.log.findMany({
-      where: { userId: req.user.id, rmpId: null },
-      orderBy: { start: "asc" },
-    });
-    const totalHours = earned.reduce((s, l) => s + l.hours, 0);
-
-    if (totalHours >= 3) {
-      await prisma.$transaction(async (tx) => {
-        // Parse date string (YYYY-MM-DD) and create at UTC midnight for timezone independence
-        const [year, month, day] = req.body.filedDate.split("-").map(Number);
-        const filedDate = new Date(Date.UTC(year, month - 1, day));
-
-        // Collect notes from logs that will be bundled
-        const bundledNotes = [];
-        let needed = 3;
-        for (const log of earned) {
-          if (needed <= 0) break;
-          if (log.note) {
-            bundledNotes.push(log.note);
-          }
-          needed = log.hours <= needed ? cleanNum(needed - log.hours) : 0;
-        }
+    // Validate count ("Bundle all" bundles every available block)
+    const count = parseBundleCount(req.body.bundleAll ? "all" : req.body.count);
 
-        // Create RMP with summarized notes as bullet list
-        const notes = bundledNotes.length > 0 ? bundledNotes.map((n) => `• ${n}`).join("\n") : null;
-        const rmp = await tx.rmp.create({ data: { userId: req.user.id, filedDate, notes } });
-
-        needed = 3;
-        for (const log of earned) {
-          if (needed <= 0) break;
-          if (log.hours <= needed) {
-            needed = cleanNum(needed - log.hours);
-            await tx.log.update({ where: { id: log.id }, data: { rmpId: rmp.id } });
-          } else {
-            const remainder = cleanNum(log.hours - needed);
-            await tx.log.update({ where: { id: log.id }, data: { hours: needed, rmpId: rmp.id } });
-            await tx.log.create({
-              data: {
-                userId: req.user.id,
-                hours: remainder,
-                start: log.start,
-                end: log.end,
-                note: log.note,
-              },
-            });
-            needed = 0;
-          }
-        }
-      });
+    // Validate RMP type, falling back to the user's preference
+    const rmpType = req.body.rmpType ?? getRmpType(req);
+    if (!isValidRmpType(rmpType)) {
+      return res.status(400).send("Invalid RMP type");
+    }
+
+    const rmps = await bundleRmps(req.user.id, { filedDates, count, rmpType });
+    if (rmps.length === 0) {
+      return res.status(422).send("Not enough unbundled hours for the RMPs requested");
     }
     res.redirect("/api");
   } catch (error) {
@@ -1991,116 +4472,4128 @@ app.post("/api/submit-unit", requireAuth, async (req, res) => {
   }
 });
 
-app.post("/api/rmp/toggle-paid/:id", requireAuth, async (req, res) => {
-  try {
-    // Validate CSRF token
-    if (!validateCSRFToken(req)) {
-      return res.status(403).send("Invalid CSRF token");
-    }
+// Manual bundling screen: pick which logs (or partial hours) go into an RMP
+const renderBundlePage = ({
+  logs,
+  selections,
+  rmpType,
+  filedDate,
+  timeZone,
+  csrfToken,
+  error,
+  preview,
+}) => {
+  const blockHours = RMP_TYPES[rmpType].hours;
+  const rows = logs
+    .map((l) => {
+      const selected = selections.has(l.id);
+      const hours = selected ? selections.get(l.id) : "";
+      return `
+            <tr class="bundle-row" data-note="${escapeHtml(l.note || "")}" data-hours="${l.hours}">
+                <td><input type="checkbox" name="selected" value="${l.id}" ${selected ? "checked" : ""}></td>
+                <td>
+                    <div class="bundle-date">${formatDate(l.start, timeZone)}</div>
+                    <div class="muted">${formatLogTimeRange(l, timeZone)}</div>
+                    ${l.note ? `<div class="bundle-note">${escapeHtml(l.note)}</div>` : ""}
+                </td>
+                <td>${l.hours}h</td>
+                <td><input type="number" name="hours[${l.id}]" value="${escapeHtml(hours ?? "")}" min="0" max="${l.hours}" step="0.01" placeholder="${l.hours}" class="bundle-hours"></td>
+            </tr>`;
+    })
+    .join("");
+
+  const body = `
+        <h1>Bundle an RMP</h1>
+        <p>Pick the sessions that should go on this RMP. Leave the hours blank to use the whole log, or enter part of it to split the log and keep the rest unbundled.</p>
+        ${error ? `<div class="alert alert-error">${escapeHtml(error)}</div>` : ""}
+        ${
+          logs.length === 0
+            ? '<p class="muted">No unbundled logs.</p>'
+            : `
+        <form method="POST" action="/api/bundle">
+            <input type="hidden" name="_csrf" value="${csrfToken}">
+            <div class="bundle-settings">
+                <div class="form-group">
+                    <label class="form-label">RMP Type</label>
+                    <select name="rmpType" id="rmpType">
+                        ${Object.entries(RMP_TYPES)
+                          .map(
+                            ([id, t]) =>
+                              `<option value="${id}" data-hours="${t.hours}" ${id === rmpType ? "selected" : ""}>${t.label} (${t.hours.toFixed(1)} hrs)</option>`,
+                          )
+                          .join("")}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label class="form-label">EDM Filing Date</label>
+                    <input type="date" name="filedDate" value="${escapeHtml(filedDate)}" required>
+                </div>
+            </div>
+            <table class="data-table">
+                <thead><tr><th></th><th>Session</th><th>Hours</th><th>Use</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <div class="bundle-total">Selected: <strong id="selectedTotal">0</strong> / <span id="blockHours">${blockHours}</span> hrs</div>
+            <h2>Notes preview</h2>
+            <div id="notesPreview" class="notes-preview">${
+              preview
+                ? escapeHtml(preview.notes || "") || '<span class="muted">No notes</span>'
+                : '<span class="muted">No notes</span>'
+            }</div>
+            <div class="bundle-actions">
+                <button type="submit" name="intent" value="preview" class="btn btn-secondary">Preview</button>
+                <button type="submit" name="intent" value="create" id="createBtn" class="btn btn-warning">Create RMP</button>
+            </div>
+        </form>
+        `
+        }
+    `;
 
-    // Validate UUID
-    if (!isValidUUID(req.params.id)) {
-      return res.status(400).send("Invalid RMP ID");
-    }
+  const styles = `
+            .bundle-settings {
+                display: grid;
+                grid-template-columns: 1fr 1fr;
+                gap: 12px;
+            }
+            @media (max-width: 500px) {
+                .bundle-settings { grid-template-columns: 1fr; }
+            }
+            .bundle-date { font-weight: 500; color: #002447; }
+            .bundle-note { font-style: italic; color: #555; font-size: 0.9em; margin-top: 2px; }
+            .bundle-hours { max-width: 100px; }
+            .bundle-total {
+                margin: 16px 0;
+                font-size: 1.1em;
+                color: #002447;
+            }
+            .bundle-total.complete strong { color: #28a745; }
+            .notes-preview {
+                white-space: pre-line;
+                font-style: italic;
+                color: #555;
+                background: #f8f9fa;
+                border-radius: 8px;
+                padding: 10px 12px;
+                min-height: 40px;
+            }
+            .bundle-actions {
+                display: flex;
+                gap: 12px;
+                margin-top: 20px;
+            }
+    `;
 
-    // Check authorization - verify RMP belongs to user
-    const rmp = await prisma.rmp.findUnique({ where: { id: req.params.id } });
-    if (!rmp) {
-      return res.status(404).send("RMP not found");
-    }
-    if (rmp.userId !== req.user.id) {
-      return res.status(403).send("Unauthorized");
-    }
+  // Live total and notes preview, mirroring mergeBundleNotes on the server
+  const script = `
+        const rows = Array.from(document.querySelectorAll('.bundle-row'));
+        const typeSelect = document.getElementById('rmpType');
+        const totalEl = document.getElementById('selectedTotal');
+        const blockEl = document.getElementById('blockHours');
+        const notesEl = document.getElementById('notesPreview');
+        const createBtn = document.getElementById('createBtn');
+        function update() {
+            let total = 0;
+            const notes = [];
+            for (const row of rows) {
+                const checkbox = row.querySelector('input[type="checkbox"]');
+                if (!checkbox.checked) continue;
+                const input = row.querySelector('.bundle-hours');
+                total += input.value === '' ? Number(row.dataset.hours) : Number(input.value) || 0;
+                if (row.dataset.note) notes.push('• ' + row.dataset.note);
+            }
+            total = Math.round(total * 100) / 100;
+            const block = Number(typeSelect.selectedOptions[0].dataset.hours);
+            totalEl.textContent = total;
+            blockEl.textContent = block;
+            totalEl.parentElement.classList.toggle('complete', total === block);
+            createBtn.disabled = total !== block;
+            notesEl.textContent = notes.length ? notes.join('\\n') : 'No notes';
+        }
+        if (typeSelect) {
+            rows.forEach(row => {
+                row.querySelectorAll('input').forEach(input => input.addEventListener('input', update));
+                // Typing partial hours selects the row
+                row.querySelector('.bundle-hours').addEventListener('input', () => {
+                    row.querySelector('input[type="checkbox"]').checked = true;
+                    update();
+                });
+            });
+            typeSelect.addEventListener('change', update);
+            update();
+        }
+    `;
 
-    // Update status
-    await prisma.rmp.update({
-      where: { id: rmp.id },
-      data: { status: rmp.status === "paid" ? "submitted" : "paid" },
+  return renderPage({ title: "Bundle an RMP", body, styles, script });
+};
+
+app.get("/api/bundle", requireAuth, async (req, res) => {
+  try {
+    res.set(NO_CACHE_HEADERS);
+    const logs = await prisma.log.findMany({
+      where: { userId: req.user.id, rmpId: null },
+      orderBy: { start: "asc" },
     });
-    res.redirect("/api");
+    res.send(
+      renderBundlePage({
+        logs,
+        selections: new Map(),
+        rmpType: getRmpType(req),
+        filedDate: toDateInput(new Date(), getUserTimeZone(req.user)),
+        timeZone: getUserTimeZone(req.user),
+        csrfToken: getCSRFToken(req),
+      }),
+    );
   } catch (error) {
-    console.error("Error in /api/rmp/toggle-paid:", error);
+    console.error("Error in GET /api/bundle:", error);
     res.status(500).send("Internal Server Error");
   }
 });
 
-app.post("/api/rmp/delete/:id", requireAuth, async (req, res) => {
+app.post("/api/bundle", requireAuth, async (req, res) => {
   try {
     // Validate CSRF token
     if (!validateCSRFToken(req)) {
       return res.status(403).send("Invalid CSRF token");
     }
 
-    // Validate UUID
-    if (!isValidUUID(req.params.id)) {
-      return res.status(400).send("Invalid RMP ID");
+    res.set(NO_CACHE_HEADERS);
+    const logs = await prisma.log.findMany({
+      where: { userId: req.user.id, rmpId: null },
+      orderBy: { start: "asc" },
+    });
+    const timeZone = getUserTimeZone(req.user);
+    const rmpType = isValidRmpType(req.body.rmpType) ? req.body.rmpType : getRmpType(req);
+    const filedDate = isValidDate(req.body.filedDate)
+      ? req.body.filedDate
+      : toDateInput(new Date(), timeZone);
+    const page = { logs, rmpType, filedDate, timeZone, csrfToken: getCSRFToken(req) };
+
+    let selections;
+    let preview;
+    try {
+      selections = parseBundleSelections(req.body, logs);
+      preview = planManualBundle(logs, selections, RMP_TYPES[rmpType].hours, timeZone);
+    } catch (error) {
+      // Selection problems are shown on the page so the user can fix them
+      return res
+        .status(400)
+        .send(
+          renderBundlePage({ ...page, selections: selections ?? new Map(), error: error.message }),
+        );
     }
 
-    // Check authorization - verify RMP belongs to user
-    const rmp = await prisma.rmp.findUnique({ where: { id: req.params.id } });
-    if (!rmp) {
-      return res.status(404).send("RMP not found");
+    if (req.body.intent !== "create") {
+      return res.send(renderBundlePage({ ...page, selections, preview }));
     }
-    if (rmp.userId !== req.user.id) {
-      return res.status(403).send("Unauthorized");
+
+    if (!isValidDate(req.body.filedDate)) {
+      return res
+        .status(400)
+        .send(
+          renderBundlePage({ ...page, selections, preview, error: "Invalid filing date format" }),
+        );
     }
 
-    await prisma.$transaction(async (tx) => {
-      await tx.rmp.delete({ where: { id: req.params.id } });
-      // Consolidation: Merge logs with identical start/end/user that are now unbundled
-      const logs = await tx.log.findMany({
-        where: { userId: req.user.id, rmpId: null },
-        orderBy: { start: "asc" },
-      });
-      for (let i = 0; i < logs.length - 1; i++) {
-        const a = logs[i];
-        const b = logs[i + 1];
-        if (a.start.getTime() === b.start.getTime() && a.end.getTime() === b.end.getTime()) {
-          await tx.log.update({
-            where: { id: a.id },
-            data: { hours: cleanNum(a.hours + b.hours) },
-          });
-          await tx.log.delete({ where: { id: b.id } });
-          logs.splice(i + 1, 1);
-          i--;
-        }
-      }
-    });
+    try {
+      await bundleSelectedLogs(req.user.id, selections, filedDate, rmpType, timeZone);
+    } catch (error) {
+      if (!(error instanceof BundleSelectionError)) throw error;
+      return res
+        .status(409)
+        .send(renderBundlePage({ ...page, selections, preview, error: error.message }));
+    }
     res.redirect("/api");
   } catch (error) {
-    console.error("Error in /api/rmp/delete:", error);
+    console.error("Error in POST /api/bundle:", error);
     res.status(500).send("Internal Server Error");
   }
 });
 
-app.post("/api/delete/:id", requireAuth, async (req, res) => {
-  try {
-    // Validate CSRF token
-    if (!validateCSRFToken(req)) {
-      return res.status(403).send("Invalid CSRF token");
-    }
-
-    // Validate UUID
-    if (!isValidUUID(req.params.id)) {
-      return res.status(400).send("Invalid log ID");
-    }
-
-    // Delete log (only if it belongs to user and is not locked)
-    const result = await prisma.log.deleteMany({
-      where: { id: req.params.id, userId: req.user.id, rmpId: null },
+// Import screen: paste or upload CSV/JSON, preview every row, then import
+const renderImportPage = ({
+  csrfToken,
+  timeZone,
+  text = "",
+  format = "auto",
+  rows,
+  error,
+  imported,
+}) => {
+  const counts = rows && {
+    ok: rows.filter((r) => r.log && !r.duplicate).length,
+    duplicate: rows.filter((r) => r.duplicate).length,
+    error: rows.filter((r) => r.error).length,
+  };
+  const previewRows = (rows || [])
+    .map((r) => {
+      const status = r.error
+        ? `<span class="import-status error">${escapeHtml(r.error)}</span>`
+        : r.duplicate
+          ? '<span class="import-status duplicate">Duplicate - skipped</span>'
+          : '<span class="import-status ok">OK</span>';
+      const when = r.log
+        ? `${formatDate(r.log.start, timeZone)}<div class="muted">${formatLogTimeRange(r.log, timeZone)}</div>`
+        : escapeHtml(r.input.workDate || "");
+      return `
+            <tr class="${r.error ? "row-error" : r.duplicate ? "row-duplicate" : ""}">
+                <td>${r.row}</td>
+                <td>${when}</td>
+                <td>${r.log ? `${r.log.hours}h` : ""}</td>
+                <td>${escapeHtml(r.log?.note || r.input.note || "")} ${renderTagChips(r.tags || [])}</td>
+                <td>${status}</td>
+            </tr>`;
+    })
+    .join("");
+
+  const body = `
+        <h1>Import Hours</h1>
+        <p>Bring in hours tracked elsewhere. Use a CSV with a header row or a JSON array with the columns <code>date</code>, <code>start</code>, <code>end</code>, <code>hours</code>, <code>note</code> and <code>tags</code> (separated by <code>;</code>). Give either start and end times (HH:MM) or hours. Times are read in your timezone (${escapeHtml(timeZone)}). A log export from this app can be imported as it is.</p>
+        <pre class="import-example">date,start,end,hours,note,tags
+2026-01-10,08:00,12:00,,Drill weekend prep,Drill Prep
+2026-01-17,,,2.5,Online training,Training; GMT</pre>
+        ${imported !== undefined ? `<div class="alert alert-success">Imported ${imported} log${imported === 1 ? "" : "s"}.</div>` : ""}
+        ${error ? `<div class="alert alert-error">${escapeHtml(error)}</div>` : ""}
+        <form method="POST" action="/api/import">
+            <input type="hidden" name="_csrf" value="${csrfToken}">
+            <div class="form-group">
+                <label class="form-label" for="importFile">File</label>
+                <input type="file" id="importFile" accept=".csv,.json,text/csv,application/json">
+            </div>
+            <div class="form-group">
+                <label class="form-label" for="importText">Or paste data</label>
+                <textarea name="data" id="importText" rows="10" required>${escapeHtml(text)}</textarea>
+            </div>
+            <div class="form-group">
+                <label class="form-label" for="importFormat">Format</label>
+                <select name="format" id="importFormat">
+                    ${["auto", "csv", "json"]
+                      .map(
+                        (f) =>
+                          `<option value="${f}" ${f === format ? "selected" : ""}>${f === "auto" ? "Detect automatically" : f.toUpperCase()}</option>`,
+                      )
+                      .join("")}
+                </select>
+            </div>
+            ${
+              rows
+                ? `
+            <div class="alert alert-info">${counts.ok} to import, ${counts.duplicate} duplicate, ${counts.error} with errors</div>
+            <table class="data-table">
+                <thead><tr><th>Row</th><th>Date</th><th>Hours</th><th>Note</th><th>Status</th></tr></thead>
+                <tbody>${previewRows}</tbody>
+            </table>`
+                : ""
+            }
+            <div class="import-actions">
+                <button type="submit" name="intent" value="preview" class="btn btn-secondary">Preview</button>
+                ${
+                  rows && counts.error === 0 && counts.ok > 0
+                    ? `<button type="submit" name="intent" value="import" class="btn btn-primary">Import ${counts.ok} log${counts.ok === 1 ? "" : "s"}</button>`
+                    : ""
+                }
+            </div>
+        </form>
+    `;
+
+  const styles = `
+            code { background: #f0f0f0; padding: 1px 4px; border-radius: 4px; }
+            .import-example {
+                background: #f8f9fa;
+                border-radius: 8px;
+                padding: 10px 12px;
+                margin: 12px 0 20px;
+                font-size: 0.85em;
+                overflow-x: auto;
+            }
+            #importText { font-family: monospace; font-size: 0.9em; }
+            .import-status.ok { color: #28a745; font-weight: 600; }
+            .import-status.duplicate { color: #856404; }
+            .import-status.error { color: #dc3545; }
+            .row-duplicate td { background: #fffbea; }
+            .row-error td { background: #fff5f5; }
+            .import-actions {
+                display: flex;
+                gap: 12px;
+                margin-top: 20px;
+            }
+    `;
+
+  // Load a chosen file into the textarea so the form stays a plain POST
+  const script = `
+        document.getElementById('importFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            const reader = new FileReader();
+            reader.onload = () => {
+                document.getElementById('importText').value = reader.result;
+                const ext = file.name.split('.').pop().toLowerCase();
+                if (ext === 'csv' || ext === 'json') document.getElementById('importFormat').value = ext;
+            };
+            reader.readAsText(file);
+        });
+    `;
+
+  return renderPage({ title: "Import Hours", body, styles, script });
+};
+
+app.get("/api/import", requireAuth, (req, res) => {
+  res.set(NO_CACHE_HEADERS);
+  res.send(renderImportPage({ csrfToken: getCSRFToken(req), timeZone: getUserTimeZone(req.user) }));
+});
+
+app.post("/api/import", requireAuth, async (req, res) => {
+  try {
+    if (req.bodyTooLarge) {
+      res.set(NO_CACHE_HEADERS);
+      return res.status(413).send(
+        renderImportPage({
+          csrfToken: getCSRFToken(req),
+          timeZone: getUserTimeZone(req.user),
+          error: `That's too much data to import at once (over ${IMPORT_BODY_LIMIT.toUpperCase()}). Split it into smaller files.`,
+        }),
+      );
+    }
+
+    // Validate CSRF token
+    if (!validateCSRFToken(req)) {
+      return res.status(403).send("Invalid CSRF token");
+    }
+
+    res.set(NO_CACHE_HEADERS);
+    const text = typeof req.body.data === "string" ? req.body.data : "";
+    const format = ["csv", "json"].includes(req.body.format) ? req.body.format : "auto";
+    const timeZone = getUserTimeZone(req.user);
+    const page = { csrfToken: getCSRFToken(req), timeZone, text, format };
+
+    let records;
+    try {
+      records = parseImportText(text, format);
+    } catch (error) {
+      return res.status(400).send(renderImportPage({ ...page, error: error.message }));
+    }
+    const rows = await previewImport(req.user.id, records, timeZone);
+
+    if (req.body.intent !== "import") {
+      return res.send(renderImportPage({ ...page, rows }));
+    }
+
+    let imported;
+    try {
+      imported = await commitImport(req.user.id, rows);
+    } catch (error) {
+      return res.status(400).send(renderImportPage({ ...page, rows, error: error.message }));
+    }
+    res.send(renderImportPage({ csrfToken: page.csrfToken, timeZone, imported }));
+  } catch (error) {
+    console.error("Error in POST /api/import:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+// Profile settings: display name, rank, UIC, timezone and bundling default
+const renderSettingsPage = ({
+  user,
+  csrfToken,
+  identities = [],
+  tags = [],
+  form = {},
+  error,
+  saved,
+  linkError,
+  tagError,
+}) => {
+  const value = (field) => escapeHtml(form[field] ?? user[field] ?? "");
+  const rmpType = form.rmpType ?? getRmpType({ user });
+  const timezone = form.timezone ?? user.timezone ?? "";
+  const timezones = Intl.supportedValuesOf("timeZone");
+  const linkable = enabledAuthProviders().filter(
+    ([id]) => id === "email" || !identities.some((identity) => identity.provider === id),
+  );
+  const reminders = getReminderSettings(user);
+  const checked = (on) => (on ? "checked" : "");
+
+  const body = `
+        <h1>Settings</h1>
+        ${saved ? '<div class="alert alert-success">Settings saved.</div>' : ""}
+        ${error ? `<div class="alert alert-error">${escapeHtml(error)}</div>` : ""}
+        <form method="POST" action="/api/settings">
+            <input type="hidden" name="_csrf" value="${csrfToken}">
+            <div class="form-group">
+                <label class="form-label" for="displayName">Display Name</label>
+                <input type="text" id="displayName" name="displayName" value="${value("displayName")}" maxlength="100">
+            </div>
+            <div class="form-group">
+                <label class="form-label">Email</label>
+                <input type="email" value="${escapeHtml(user.email || "")}" disabled>
+            </div>
+            <div class="settings-row">
+                <div class="form-group">
+                    <label class="form-label" for="rank">Rank</label>
+                    <input type="text" id="rank" name="rank" value="${value("rank")}" maxlength="30" placeholder="e.g. LT">
+                </div>
+                <div class="form-group">
+                    <label class="form-label" for="uic">Unit (UIC)</label>
+                    <input type="text" id="uic" name="uic" value="${value("uic")}" maxlength="6" placeholder="e.g. N1234A">
+                </div>
+            </div>
+            <div class="form-group">
+                <label class="form-label" for="timezone">Timezone</label>
+                <p class="muted" style="font-size:0.85em; margin-bottom:6px;">Log times are entered and shown in this timezone.</p>
+                <select id="timezone" name="timezone" data-current="${escapeHtml(timezone)}">
+                    <option value="">Not set</option>
+                    ${timezones
+                      .map(
+                        (tz) =>
+                          `<option value="${tz}" ${tz === timezone ? "selected" : ""}>${tz.replace(/_/g, " ")}</option>`,
+                      )
+                      .join("")}
+                </select>
+            </div>
+            <div class="form-group">
+                <label class="form-label" for="rmpType">Default RMP Type</label>
+                <select id="rmpType" name="rmpType">
+                    ${Object.entries(RMP_TYPES)
+                      .map(
+                        ([id, t]) =>
+                          `<option value="${id}" ${id === rmpType ? "selected" : ""}>${t.label} (${t.hours.toFixed(1)} hrs)</option>`,
+                      )
+                      .join("")}
+                </select>
+            </div>
+            <button type="submit" class="btn btn-primary">Save Settings</button>
+        </form>
+
+        <h2 id="sign-in">Sign-in methods</h2>
+        ${linkError ? '<div class="alert alert-error">That sign-in is already linked to another account.</div>' : ""}
+        <ul class="identity-list">
+            ${identities
+              .map(
+                (identity) => `
+            <li>
+                <span>
+                    <strong>${escapeHtml(AUTH_PROVIDERS[identity.provider]?.label || identity.provider)}</strong>
+                    ${identity.email ? `<span class="muted">${escapeHtml(identity.email)}</span>` : ""}
+                </span>
+                ${
+                  identities.length > 1
+                    ? `<form method="POST" action="/api/auth/unlink/${identity.id}">
+                    <input type="hidden" name="_csrf" value="${csrfToken}">
+                    <button type="submit" class="btn btn-secondary btn-small">Unlink</button>
+                </form>`
+                    : ""
+                }
+            </li>`,
+              )
+              .join("")}
+        </ul>
+        ${linkable
+          .map(
+            ([id, provider]) =>
+              `<form method="POST" action="/api/auth/link/${id}" class="link-form">
+            <input type="hidden" name="_csrf" value="${csrfToken}">
+            <button type="submit" class="btn btn-secondary">Link ${escapeHtml(provider.label)}</button>
+        </form>`,
+          )
+          .join(" ")}
+
+        <h2 id="tags">Tags</h2>
+        <p class="muted">Renaming or deleting a tag changes every log that has it, including logs bundled into RMPs.</p>
+        ${tagError ? `<div class="alert alert-error">${escapeHtml(tagError)}</div>` : ""}
+        ${
+          tags.length
+            ? `<ul class="identity-list">
+            ${tags
+              .map(
+                (tag) => `
+            <li>
+                <form method="POST" action="/api/tags/${tag.id}" class="tag-rename">
+                    <input type="hidden" name="_csrf" value="${csrfToken}">
+                    <input type="text" name="name" value="${escapeHtml(tag.name)}" maxlength="${MAX_TAG_LENGTH}" required aria-label="Tag name">
+                    <button type="submit" class="btn btn-secondary btn-small">Rename</button>
+                </form>
+                <form method="POST" action="/api/tags/${tag.id}/delete" onsubmit="return confirm('Delete this tag from every log?')">
+                    <input type="hidden" name="_csrf" value="${csrfToken}">
+                    <button type="submit" class="btn btn-secondary btn-small">Delete</button>
+                </form>
+            </li>`,
+              )
+              .join("")}
+        </ul>`
+            : '<p class="muted">You have no tags yet. Add them when you log hours.</p>'
+        }
+
+        ${
+          pushEnabled()
+            ? `
+        <h2 id="reminders">Reminders</h2>
+        <p class="muted">Push notifications on the devices you turn them on for.</p>
+        <div class="push-device">
+            <span id="pushStatus">Checking this device…</span>
+            <button type="button" id="pushToggle" class="btn btn-secondary btn-small" hidden>Turn on for this device</button>
+            <button type="button" id="pushTest" class="btn btn-secondary btn-small" hidden>Send a test</button>
+        </div>
+        <form method="POST" action="/api/settings/reminders" class="reminder-form">
+            <input type="hidden" name="_csrf" value="${csrfToken}">
+            <label>
+                <input type="checkbox" name="noHours" ${checked(reminders.noHours)}>
+                No hours logged in the past week, checked each
+                <select name="noHoursDay" aria-label="Day to check">
+                    ${WEEKDAYS.map((day, i) => `<option value="${i}" ${i === reminders.noHoursDay ? "selected" : ""}>${day}</option>`).join("")}
+                </select>
+            </label>
+            <label>
+                <input type="checkbox" name="readyToBundle" ${checked(reminders.readyToBundle)}>
+                Enough unbundled hours for an RMP (at most weekly)
+            </label>
+            <label>
+                <input type="checkbox" name="pendingRmp" ${checked(reminders.pendingRmp)}>
+                An RMP still pending after
+                <input type="number" name="pendingDays" value="${reminders.pendingDays}" min="1" max="${MAX_PENDING_REMINDER_DAYS}" aria-label="Days pending">
+                days
+            </label>
+            <button type="submit" class="btn btn-primary">Save Reminders</button>
+        </form>
+        `
+            : ""
+        }
+    `;
+
+  const styles = `
+            .link-form {
+                display: inline-block;
+            }
+            .push-device {
+                display: flex;
+                flex-wrap: wrap;
+                align-items: center;
+                gap: 8px;
+                margin: 12px 0;
+            }
+            .reminder-form label {
+                display: block;
+                margin-bottom: 12px;
+            }
+            .reminder-form select,
+            .reminder-form input[type="number"] {
+                width: auto;
+                display: inline-block;
+                margin: 0 4px;
+            }
+            .settings-row {
+                display: grid;
+                grid-template-columns: 1fr 1fr;
+                gap: 12px;
+            }
+            .identity-list {
+                list-style: none;
+                padding: 0;
+                margin: 12px 0 16px;
+            }
+            .identity-list li {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                gap: 12px;
+                padding: 10px 0;
+                border-bottom: 1px solid #eee;
+            }
+            .identity-list .muted {
+                margin-left: 8px;
+            }
+            .tag-rename {
+                display: flex;
+                flex: 1;
+                gap: 8px;
+            }
+    `;
+
+  // Suggest the browser's timezone when none is saved yet. Reminders: subscribe
+  // this browser to push (or unsubscribe it) and keep the server's copy current.
+  const script = `
+        const tzSelect = document.getElementById('timezone');
+        if (!tzSelect.dataset.current) {
+            const browserTz = Intl.DateTimeFormat().resolvedOptions().timeZone;
+            if ([...tzSelect.options].some(o => o.value === browserTz)) tzSelect.value = browserTz;
+        }
+
+        const pushStatus = document.getElementById('pushStatus');
+        if (pushStatus) {
+            const pushKey = ${JSON.stringify(process.env.VAPID_PUBLIC_KEY || "")};
+            const pushToggle = document.getElementById('pushToggle');
+            const pushTest = document.getElementById('pushTest');
+
+            function pushRequest(method, path, body) {
+                return fetch('/api/v1/push' + path, {
+                    method,
+                    credentials: 'same-origin',
+                    headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': ${JSON.stringify(csrfToken)} },
+                    body: body ? JSON.stringify(body) : undefined
+                });
+            }
+
+            function keyBytes(base64Url) {
+                const base64 = (base64Url + '='.repeat((4 - base64Url.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+                return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+            }
+
+            async function showPushState(registration) {
+                const subscription = await registration.pushManager.getSubscription();
+                const blocked = Notification.permission === 'denied';
+                pushStatus.textContent = subscription ? 'On for this device.' : blocked ? 'Notifications are blocked for this site in your browser settings.' : 'Off for this device.';
+                pushToggle.textContent = subscription ? 'Turn off for this device' : 'Turn on for this device';
+                pushToggle.hidden = blocked && !subscription;
+                pushTest.hidden = !subscription;
+                return subscription;
+            }
+
+            if (!('serviceWorker' in navigator) || !('PushManager' in window)) {
+                pushStatus.textContent = "This browser doesn't support push notifications.";
+            } else {
+                navigator.serviceWorker.register('/service-worker.js').then(async (registration) => {
+                    // Re-send an existing subscription in case the server dropped it
+                    const existing = await showPushState(registration);
+                    if (existing) pushRequest('POST', '/subscriptions', existing.toJSON());
+
+                    pushToggle.addEventListener('click', async () => {
+                        pushToggle.disabled = true;
+                        try {
+                            const subscription = await registration.pushManager.getSubscription();
+                            if (subscription) {
+                                await pushRequest('DELETE', '/subscriptions?endpoint=' + encodeURIComponent(subscription.endpoint));
+                                await subscription.unsubscribe();
+                            } else if (await Notification.requestPermission() === 'granted') {
+                                const created = await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: keyBytes(pushKey) });
+                                const response = await pushRequest('POST', '/subscriptions', created.toJSON());
+                                if (!response.ok) throw new Error('Subscription was not saved (' + response.status + ')');
+                            }
+                        } catch (e) {
+                            console.error('Push subscription failed:', e);
+                            alert('Could not change reminders for this device. Please try again.');
+                        }
+                        pushToggle.disabled = false;
+                        showPushState(registration);
+                    });
+
+                    pushTest.addEventListener('click', async () => {
+                        const response = await pushRequest('POST', '/test', {});
+                        const data = await response.json();
+                        if (!response.ok || data.delivered === 0) alert(data.error ? data.error.message : 'The test reminder could not be delivered.');
+                    });
+                });
+            }
+        }
+    `;
+
+  return renderPage({ title: "Settings", body, styles, script });
+};
+
+const getIdentities = (userId) =>
+  prisma.identity.findMany({ where: { userId }, orderBy: { createdAt: "asc" } });
+
+const getTags = (userId) => prisma.tag.findMany({ where: { userId }, orderBy: { name: "asc" } });
+
+app.get("/api/settings", requireAuth, async (req, res) => {
+  try {
+    res.set(NO_CACHE_HEADERS);
+    res.send(
+      renderSettingsPage({
+        user: req.user,
+        csrfToken: getCSRFToken(req),
+        identities: await getIdentities(req.user.id),
+        tags: await getTags(req.user.id),
+        saved: "saved" in req.query,
+        linkError: "linkError" in req.query,
+      }),
+    );
+  } catch (error) {
+    console.error("Error in GET /api/settings:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+app.post("/api/settings", requireAuth, async (req, res) => {
+  try {
+    // Validate CSRF token
+    if (!validateCSRFToken(req)) {
+      return res.status(403).send("Invalid CSRF token");
+    }
+
+    const { displayName, rank, uic, timezone, rmpType } = req.body;
+    let data;
+    try {
+      data = parseProfileInput({ displayName, rank, uic, timezone, rmpType });
+    } catch (error) {
+      res.set(NO_CACHE_HEADERS);
+      return res.status(400).send(
+        renderSettingsPage({
+          user: req.user,
+          csrfToken: getCSRFToken(req),
+          identities: await getIdentities(req.user.id),
+          tags: await getTags(req.user.id),
+          form: req.body,
+          error: error.message,
+        }),
+      );
+    }
+
+    await updateUserProfile(req.user, data);
+    res.redirect("/api/settings?saved");
+  } catch (error) {
+    console.error("Error in POST /api/settings:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+// Settings page for a tag form that failed
+const sendTagError = async (req, res, status, tagError) => {
+  res.set(NO_CACHE_HEADERS);
+  res.status(status).send(
+    renderSettingsPage({
+      user: req.user,
+      csrfToken: getCSRFToken(req),
+      identities: await getIdentities(req.user.id),
+      tags: await getTags(req.user.id),
+      tagError,
+    }),
+  );
+};
+
+app.post("/api/tags/:id", requireAuth, async (req, res) => {
+  try {
+    // Validate CSRF token
+    if (!validateCSRFToken(req)) {
+      return res.status(403).send("Invalid CSRF token");
+    }
+    if (!isValidUUID(req.params.id)) {
+      return res.status(400).send("Invalid tag ID");
+    }
+
+    let name;
+    try {
+      name = cleanTagName(req.body.name ?? "");
+      if (!name) throw new Error("Enter a tag name");
+    } catch (error) {
+      return sendTagError(req, res, 400, error.message);
+    }
+
+    const result = await renameTag(req.user.id, req.params.id, name);
+    if (result === "not_found") {
+      return res.status(404).send("Tag not found");
+    }
+    if (result === "taken") {
+      return sendTagError(req, res, 409, `You already have a tag named "${name}"`);
+    }
+    res.redirect("/api/settings#tags");
+  } catch (error) {
+    console.error("Error in /api/tags/:id:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+app.post("/api/tags/:id/delete", requireAuth, async (req, res) => {
+  try {
+    // Validate CSRF token
+    if (!validateCSRFToken(req)) {
+      return res.status(403).send("Invalid CSRF token");
+    }
+    if (!isValidUUID(req.params.id)) {
+      return res.status(400).send("Invalid tag ID");
+    }
+
+    await prisma.tag.deleteMany({ where: { id: req.params.id, userId: req.user.id } });
+    res.redirect("/api/settings#tags");
+  } catch (error) {
+    console.error("Error in /api/tags/:id/delete:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+app.post("/api/settings/rmp-type", requireAuth, async (req, res) => {
+  // Validate CSRF token
+  if (!validateCSRFToken(req)) {
+    return res.status(403).send("Invalid CSRF token");
+  }
+
+  if (!isValidRmpType(req.body.rmpType)) {
+    return res.status(400).send("Invalid RMP type");
+  }
+
+  try {
+    await updateUserProfile(req.user, { preferences: { rmpType: req.body.rmpType } });
+    res.redirect("/api");
+  } catch (error) {
+    console.error("Error in /api/settings/rmp-type:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+// ACCOUNT
+// Everything stored for a member, as one JSON document
+const buildTakeout = async (user) => {
+  const [identities, memberships, logs, rmps, rmpEvents, notifications, timer, pushSubscriptions] =
+    await Promise.all([
+      prisma.identity.findMany({ where: { userId: user.id }, orderBy: { createdAt: "asc" } }),
+      prisma.unitMembership.findMany({
+        where: { userId: user.id },
+        include: { unit: true },
+        orderBy: { createdAt: "asc" },
+      }),
+      prisma.log.findMany({
+        where: { userId: user.id },
+        orderBy: { start: "asc" },
+        include: { tags: true },
+      }),
+      prisma.rmp.findMany({ where: { userId: user.id }, orderBy: { filedDate: "asc" } }),
+      prisma.rmpEvent.findMany({ where: { userId: user.id }, orderBy: { createdAt: "asc" } }),
+      prisma.notification.findMany({ where: { userId: user.id }, orderBy: { createdAt: "asc" } }),
+      getTimer(user.id),
+      prisma.pushSubscription.findMany({
+        where: { userId: user.id },
+        orderBy: { createdAt: "asc" },
+      }),
+    ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: {
+      ...serializeProfile(user),
+      photoUrl: user.photoUrl,
+      preferences: user.preferences,
+      createdAt: user.createdAt.toISOString(),
+    },
+    identities: identities.map((identity) => ({
+      provider: identity.provider,
+      email: identity.email,
+      createdAt: identity.createdAt.toISOString(),
+      lastUsedAt: identity.lastUsedAt?.toISOString() ?? null,
+    })),
+    units: memberships.map((m) => ({
+      name: m.unit.name,
+      uic: m.unit.uic,
+      role: m.role,
+      sharing: m.sharing,
+      joinedAt: m.createdAt.toISOString(),
+    })),
+    logs: logs.map(serializeLog),
+    rmps: rmps.map(serializeRmp),
+    // Includes the history of RMPs that were later unsubmitted
+    rmpEvents: rmpEvents.map((event) => ({ ...serializeRmpEvent(event), rmpId: event.rmpId })),
+    notifications: notifications.map((n) => ({
+      message: n.message,
+      rmpId: n.rmpId,
+      readAt: n.readAt?.toISOString() ?? null,
+      createdAt: n.createdAt.toISOString(),
+    })),
+    timer: serializeTimer(timer),
+    pushSubscriptions: pushSubscriptions.map(serializePushSubscription),
+  };
+};
+
+// Units the member is the only admin of, split into those with other members
+// (which would be left without an admin) and those with nobody else in them
+const getSoleAdminUnits = async (userId) => {
+  const memberships = await prisma.unitMembership.findMany({
+    where: { userId, role: "admin" },
+    include: { unit: { include: { memberships: true } } },
+  });
+  const soleAdmin = memberships.filter(
+    (m) => !m.unit.memberships.some((other) => other.userId !== userId && other.role === "admin"),
+  );
+  return {
+    withMembers: soleAdmin.filter((m) => m.unit.memberships.length > 1).map((m) => m.unit),
+    empty: soleAdmin.filter((m) => m.unit.memberships.length === 1).map((m) => m.unit),
+  };
+};
+
+// Remove every row belonging to a user, then sign them out everywhere. Callers
+// check getSoleAdminUnits first; units left empty are deleted with the account.
+const deleteAccount = async (userId) => {
+  const { empty } = await getSoleAdminUnits(userId);
+  await prisma.$transaction([
+    prisma.unit.deleteMany({ where: { id: { in: empty.map((unit) => unit.id) } } }),
+    prisma.log.deleteMany({ where: { userId } }),
+    prisma.tag.deleteMany({ where: { userId } }),
+    prisma.activeTimer.deleteMany({ where: { userId } }),
+    prisma.pushSubscription.deleteMany({ where: { userId } }),
+    prisma.reminderDelivery.deleteMany({ where: { userId } }),
+    prisma.rmp.deleteMany({ where: { userId } }),
+    prisma.rmpEvent.deleteMany({ where: { userId } }),
+    prisma.identity.deleteMany({ where: { userId } }),
+    prisma.unitMembership.deleteMany({ where: { userId } }),
+    prisma.notification.deleteMany({ where: { userId } }),
+    prisma.loginToken.deleteMany({ where: { linkUserId: userId } }),
+    prisma.user.delete({ where: { id: userId } }),
+  ]);
+
+  // Sessions store the user ID (older ones the whole Google profile)
+  const sessions = await prisma.session.deleteMany({
+    where: {
+      OR: [
+        { data: { contains: `"user":"${userId}"` } },
+        { data: { contains: `"id":"${userId}"` } },
+      ],
+    },
+  });
+  return sessions.count;
+};
+
+const ACCOUNT_DELETE_CONFIRMATION = "DELETE";
+
+const renderAccountPage = ({ csrfToken, error }) => {
+  const body = `
+        <h1>Account</h1>
+
+        <div class="card">
+            <h2>Download your data</h2>
+            <p>A JSON file with your profile, settings, sign-in methods, every log and RMP, and RMP history.</p>
+            <a href="/api/account/takeout" class="btn btn-primary">Download takeout</a>
+        </div>
+
+        <div class="card danger-zone">
+            <h2>Delete account</h2>
+            <p>This permanently deletes your profile, settings, sign-in methods, logs and RMPs, and signs you out on every device. It can't be undone, so download your data first.</p>
+            <p>If you're the only admin of a unit with other members, make one of them an admin first. Units with nobody else in them are deleted too.</p>
+            ${error ? `<div class="alert alert-error">${escapeHtml(error)}</div>` : ""}
+            <form method="POST" action="/api/account/delete">
+                <input type="hidden" name="_csrf" value="${csrfToken}">
+                <div class="form-group">
+                    <label class="form-label" for="confirm">Type ${ACCOUNT_DELETE_CONFIRMATION} to confirm</label>
+                    <input type="text" id="confirm" name="confirm" autocomplete="off" required>
+                </div>
+                <button type="submit" class="btn btn-danger">Delete my account</button>
+            </form>
+        </div>
+    `;
+
+  const styles = `
+            .danger-zone {
+                border: 1px solid #f5c2c7;
+            }
+    `;
+
+  return renderPage({ title: "Account", body, styles });
+};
+
+app.get("/api/account", requireAuth, (req, res) => {
+  res.set(NO_CACHE_HEADERS);
+  res.send(renderAccountPage({ csrfToken: getCSRFToken(req) }));
+});
+
+app.get("/api/account/takeout", requireAuth, async (req, res) => {
+  try {
+    const takeout = await buildTakeout(req.user);
+    const today = toDateInput(new Date(), getUserTimeZone(req.user));
+    res.set(NO_CACHE_HEADERS);
+    res.set("Content-Disposition", `attachment; filename="three-bells-takeout-${today}.json"`);
+    res.json(takeout);
+  } catch (error) {
+    console.error("Error in /api/account/takeout:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+app.post("/api/account/delete", requireAuth, async (req, res) => {
+  try {
+    // Validate CSRF token
+    if (!validateCSRFToken(req)) {
+      return res.status(403).send("Invalid CSRF token");
+    }
+
+    if (req.body.confirm?.trim() !== ACCOUNT_DELETE_CONFIRMATION) {
+      res.set(NO_CACHE_HEADERS);
+      return res.status(400).send(
+        renderAccountPage({
+          csrfToken: getCSRFToken(req),
+          error: `Type ${ACCOUNT_DELETE_CONFIRMATION} to confirm`,
+        }),
+      );
+    }
+
+    // A unit can't be left with members but no admin
+    const userId = req.user.id;
+    const { withMembers } = await getSoleAdminUnits(userId);
+    if (withMembers.length) {
+      res.set(NO_CACHE_HEADERS);
+      return res.status(409).send(
+        renderAccountPage({
+          csrfToken: getCSRFToken(req),
+          error: `You're the only admin of ${withMembers.map((unit) => unit.name).join(", ")}. Make another member an admin first.`,
+        }),
+      );
+    }
+
+    const sessions = await deleteAccount(userId);
+    console.log(`[SECURITY] Account deleted for user: ${userId} (${sessions} sessions ended)`);
+
+    res.set(NO_CACHE_HEADERS);
+    req.session.destroy(() => {
+      res.clearCookie("connect.sid");
+      res.redirect("/api?deleted");
+    });
+  } catch (error) {
+    console.error("Error in /api/account/delete:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+// UNITS
+// Members can belong to units. Unit admins review members' RMPs (see RMP
+// REVIEW) and get a read-only roster of balances for the members who opt in to
+// sharing; members never see each other's data.
+const UNIT_ROLES = ["member", "admin"];
+const UNIT_INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// The current user's membership in a unit, or null (also for malformed IDs)
+const getUnitMembership = (unitId, userId) =>
+  isValidUUID(unitId)
+    ? prisma.unitMembership.findUnique({
+        where: { unitId_userId: { unitId, userId } },
+        include: { unit: true },
+      })
+    : null;
+
+// Per-member balances for a unit, matching the dashboard's own summary cards.
+// Only members who share are queried at all.
+const getUnitRoster = async (unitId) => {
+  const memberships = await prisma.unitMembership.findMany({
+    where: { unitId },
+    include: { user: true },
+    orderBy: { createdAt: "asc" },
+  });
+  const sharingIds = memberships.filter((m) => m.sharing).map((m) => m.userId);
+
+  const [unbundled, rmpCounts] = sharingIds.length
+    ? await Promise.all([
+        prisma.log.groupBy({
+          by: ["userId"],
+          where: { userId: { in: sharingIds }, rmpId: null },
+          _sum: { hours: true },
+        }),
+        prisma.rmp.groupBy({
+          by: ["userId", "status"],
+          where: { userId: { in: sharingIds } },
+          _count: true,
+        }),
+      ])
+    : [[], []];
+
+  return memberships.map((m) => {
+    const member = {
+      membershipId: m.id,
+      userId: m.userId,
+      displayName: m.user.displayName,
+      rank: m.user.rank,
+      role: m.role,
+      sharing: m.sharing,
+      joinedAt: m.createdAt,
+      earnedHours: null,
+      pendingRmps: null,
+      paidRmps: null,
+    };
+    if (!m.sharing) return member;
+
+    const counts = rmpCounts.filter((r) => r.userId === m.userId);
+    return {
+      ...member,
+      earnedHours: cleanNum(unbundled.find((u) => u.userId === m.userId)?._sum.hours || 0),
+      pendingRmps: counts
+        .filter((r) => PENDING_RMP_STATUSES.includes(r.status))
+        .reduce((s, r) => s + r._count, 0),
+      paidRmps: counts.find((r) => r.status === "paid")?._count || 0,
+    };
+  });
+};
+
+const summarizeRoster = (roster) => {
+  const sharing = roster.filter((m) => m.sharing);
+  return {
+    members: roster.length,
+    sharing: sharing.length,
+    earnedHours: cleanNum(sharing.reduce((s, m) => s + m.earnedHours, 0)),
+    pendingRmps: sharing.reduce((s, m) => s + m.pendingRmps, 0),
+    paidRmps: sharing.reduce((s, m) => s + m.paidRmps, 0),
+  };
+};
+
+// Store a new invitation and return the raw token for the link
+const createUnitInvite = async ({ unitId, email, role, createdById }) => {
+  const token = crypto.randomBytes(32).toString("base64url");
+  await prisma.unitInvite.create({
+    data: {
+      unitId,
+      email,
+      role,
+      createdById,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + UNIT_INVITE_TTL_MS),
+    },
+  });
+  return token;
+};
+
+const findOpenUnitInvite = (token) =>
+  typeof token === "string" && token
+    ? prisma.unitInvite.findFirst({
+        where: { tokenHash: hashToken(token), acceptedAt: null, expiresAt: { gt: new Date() } },
+        include: { unit: true },
+      })
+    : null;
+
+// An invite sent to an address only works for a member who has signed in with
+// it (identity emails are ones the provider or an email link has verified)
+const inviteMatchesUser = async (invite, userId) => {
+  if (!invite.email) return true;
+  const identities = await prisma.identity.findMany({ where: { userId } });
+  return identities.some((identity) => identity.email?.toLowerCase() === invite.email);
+};
+
+const WRONG_INVITE_EMAIL =
+  "This invite was sent to a different email address. Sign in with that address, or link it to your account in Settings, then open the invite again.";
+
+// A unit always keeps at least one admin
+const isLastUnitAdmin = async (membership) =>
+  membership.role === "admin" &&
+  (await prisma.unitMembership.count({
+    where: { unitId: membership.unitId, role: "admin" },
+  })) === 1;
+
+const renderUnitsPage = ({ memberships, csrfToken, error }) => {
+  const body = `
+        <h1>Units</h1>
+        ${error ? `<div class="alert alert-error">${escapeHtml(error)}</div>` : ""}
+        <div class="card">
+            ${
+              memberships.length
+                ? `<table class="data-table">
+                <thead><tr><th>Unit</th><th>Role</th><th>Sharing</th></tr></thead>
+                <tbody>
+                    ${memberships
+                      .map(
+                        (m) => `<tr>
+                        <td><a href="/api/units/${m.unitId}">${escapeHtml(m.unit.name)}</a>${m.unit.uic ? ` <span class="muted">${escapeHtml(m.unit.uic)}</span>` : ""}</td>
+                        <td>${m.role === "admin" ? "Admin" : "Member"}</td>
+                        <td>${m.sharing ? "On" : "Off"}</td>
+                    </tr>`,
+                      )
+                      .join("")}
+                </tbody>
+            </table>`
+                : '<p class="muted">You are not in any units yet. Ask your unit admin for an invite link, or create a unit below.</p>'
+            }
+        </div>
+
+        <div class="card">
+            <h2>Create a unit</h2>
+            <p class="muted">You'll be its first admin and can invite members.</p>
+            <form method="POST" action="/api/units">
+                <input type="hidden" name="_csrf" value="${csrfToken}">
+                <div class="form-group">
+                    <label class="form-label" for="name">Name</label>
+                    <input type="text" id="name" name="name" maxlength="100" required>
+                </div>
+                <div class="form-group">
+                    <label class="form-label" for="uic">UIC (optional)</label>
+                    <input type="text" id="uic" name="uic" maxlength="6" placeholder="e.g. N1234A">
+                </div>
+                <button type="submit" class="btn btn-primary">Create Unit</button>
+            </form>
+        </div>
+    `;
+  return renderPage({ title: "Units", body });
+};
+
+const renderUnitPage = ({ membership, roster, invites, csrfToken, inviteLink, error }) => {
+  const { unit } = membership;
+  const isAdmin = membership.role === "admin";
+  const metric = (value) => (value === null ? '<span class="muted">Not shared</span>' : value);
+
+  const sharingForm = `
+        <div class="card">
+            <h2>Your sharing</h2>
+            <p>Unit admins review your RMPs, so they see the logs in each one, including their notes and tags. When sharing is on, they can also see your unbundled hours, pending RMPs and paid RMP count on the roster.</p>
+            <form method="POST" action="/api/units/${unit.id}/sharing">
+                <input type="hidden" name="_csrf" value="${csrfToken}">
+                <input type="hidden" name="sharing" value="${membership.sharing ? "off" : "on"}">
+                <button type="submit" class="btn ${membership.sharing ? "btn-secondary" : "btn-primary"}">${membership.sharing ? "Stop sharing" : "Share my balances"}</button>
+            </form>
+            <form method="POST" action="/api/units/${unit.id}/members/${membership.id}/remove" style="margin-top:12px;" onsubmit="return confirm('Leave this unit?')">
+                <input type="hidden" name="_csrf" value="${csrfToken}">
+                <button type="submit" class="btn btn-small btn-danger">Leave unit</button>
+            </form>
+        </div>
+    `;
+
+  let adminSection = "";
+  if (isAdmin) {
+    const totals = summarizeRoster(roster);
+    adminSection = `
+        <div class="card">
+            <h2>Roster</h2>
+            <p class="muted">${totals.sharing} of ${totals.members} members sharing</p>
+            <table class="data-table">
+                <thead><tr><th>Member</th><th>Role</th><th>Unbundled</th><th>Pending RMPs</th><th>Paid RMPs</th><th></th></tr></thead>
+                <tbody>
+                    ${roster
+                      .map(
+                        (m) => `<tr>
+                        <td>${escapeHtml([m.rank, m.displayName].filter(Boolean).join(" ") || "Unnamed member")}</td>
+                        <td>
+                            <form method="POST" action="/api/units/${unit.id}/members/${m.membershipId}/role">
+                                <input type="hidden" name="_csrf" value="${csrfToken}">
+                                <select name="role" onchange="this.form.submit()">
+                                    ${UNIT_ROLES.map((r) => `<option value="${r}" ${r === m.role ? "selected" : ""}>${r === "admin" ? "Admin" : "Member"}</option>`).join("")}
+                                </select>
+                            </form>
+                        </td>
+                        <td>${m.earnedHours === null ? metric(null) : `${m.earnedHours} hrs`}</td>
+                        <td>${metric(m.pendingRmps)}</td>
+                        <td>${metric(m.paidRmps)}</td>
+                        <td>${
+                          m.membershipId === membership.id
+                            ? ""
+                            : `<form method="POST" action="/api/units/${unit.id}/members/${m.membershipId}/remove">
+                                <input type="hidden" name="_csrf" value="${csrfToken}">
+                                <button type="submit" class="btn btn-small btn-danger" title="Remove from unit">&times;</button>
+                            </form>`
+                        }</td>
+                    </tr>`,
+                      )
+                      .join("")}
+                </tbody>
+                <tfoot><tr><th>Total</th><th></th><th>${totals.earnedHours} hrs</th><th>${totals.pendingRmps}</th><th>${totals.paidRmps}</th><th></th></tr></tfoot>
+            </table>
+        </div>
+
+        <div class="card">
+            <h2>Invite members</h2>
+            ${
+              inviteLink
+                ? `<div class="alert alert-success">Invite created. Share this link (it works once and expires in 7 days):<br><input type="text" value="${escapeHtml(inviteLink)}" readonly onclick="this.select()" style="margin-top:8px;"></div>`
+                : ""
+            }
+            <form method="POST" action="/api/units/${unit.id}/invites">
+                <input type="hidden" name="_csrf" value="${csrfToken}">
+                <div class="form-group">
+                    <label class="form-label" for="email">Email (optional, we'll send the link)</label>
+                    <input type="email" id="email" name="email" maxlength="254">
+                </div>
+                <div class="form-group">
+                    <label class="form-label" for="role">Role</label>
+                    <select id="role" name="role">
+                        <option value="member">Member</option>
+                        <option value="admin">Admin</option>
+                    </select>
+                </div>
+                <button type="submit" class="btn btn-primary">Create Invite</button>
+            </form>
+            ${
+              invites.length
+                ? `<h3 style="margin-top:20px;">Open invites</h3>
+            <table class="data-table">
+                <thead><tr><th>Sent to</th><th>Role</th><th>Expires</th><th></th></tr></thead>
+                <tbody>
+                    ${invites
+                      .map(
+                        (invite) => `<tr>
+                        <td>${escapeHtml(invite.email || "Link only")}</td>
+                        <td>${invite.role === "admin" ? "Admin" : "Member"}</td>
+                        <td>${invite.expiresAt.toISOString().split("T")[0]}</td>
+                        <td>
+                            <form method="POST" action="/api/units/${unit.id}/invites/${invite.id}/revoke">
+                                <input type="hidden" name="_csrf" value="${csrfToken}">
+                                <button type="submit" class="btn btn-small btn-secondary">Revoke</button>
+                            </form>
+                        </td>
+                    </tr>`,
+                      )
+                      .join("")}
+                </tbody>
+            </table>`
+                : ""
+            }
+        </div>
+    `;
+  }
+
+  const body = `
+        <h1>${escapeHtml(unit.name)}${unit.uic ? ` <span class="muted">${escapeHtml(unit.uic)}</span>` : ""}</h1>
+        <p class="muted">You are ${isAdmin ? "an admin" : "a member"} of this unit.</p>
+        ${error ? `<div class="alert alert-error">${escapeHtml(error)}</div>` : ""}
+        ${adminSection}
+        ${sharingForm}
+    `;
+
+  const styles = `
+            .data-table tfoot th {
+                border-top: 2px solid #eee;
+                border-bottom: none;
+            }
+            .data-table select {
+                padding: 4px 8px;
+                width: auto;
+            }
+    `;
+
+  return renderPage({ title: unit.name, body, styles });
+};
+
+// Load everything the unit page needs for this member
+const renderUnitPageFor = async (membership, csrfToken, extra = {}) => {
+  const isAdmin = membership.role === "admin";
+  const [roster, invites] = isAdmin
+    ? await Promise.all([
+        getUnitRoster(membership.unitId),
+        prisma.unitInvite.findMany({
+          where: { unitId: membership.unitId, acceptedAt: null, expiresAt: { gt: new Date() } },
+          orderBy: { createdAt: "desc" },
+        }),
+      ])
+    : [[], []];
+  return renderUnitPage({ membership, roster, invites, csrfToken, ...extra });
+};
+
+app.get("/api/units", requireAuth, async (req, res) => {
+  try {
+    const memberships = await prisma.unitMembership.findMany({
+      where: { userId: req.user.id },
+      include: { unit: true },
+      orderBy: { createdAt: "asc" },
+    });
+    res.set(NO_CACHE_HEADERS);
+    res.send(renderUnitsPage({ memberships, csrfToken: getCSRFToken(req) }));
+  } catch (error) {
+    console.error("Error in /api/units:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+app.post("/api/units", requireAuth, async (req, res) => {
+  try {
+    // Validate CSRF token
+    if (!validateCSRFToken(req)) {
+      return res.status(403).send("Invalid CSRF token");
+    }
+
+    const name = typeof req.body.name === "string" ? req.body.name.trim() : "";
+    const uic = typeof req.body.uic === "string" ? req.body.uic.trim().toUpperCase() : "";
+    if (!name || name.length > 100 || (uic && !isValidUic(uic))) {
+      return res.status(400).send("Invalid unit name or UIC");
+    }
+
+    const unit = await prisma.unit.create({
+      data: {
+        name,
+        uic: uic || null,
+        memberships: { create: { userId: req.user.id, role: "admin" } },
+      },
+    });
+    console.log(`[SECURITY] Unit ${unit.id} created by user: ${req.user.id}`);
+    res.redirect(`/api/units/${unit.id}`);
+  } catch (error) {
+    console.error("Error in POST /api/units:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+// Joining hands RMP review to the unit's admins, who see each RMP's logs, notes
+// and tags, so the member has to agree to that explicitly
+const renderJoinUnitPage = ({ invite, token, csrfToken, error, wrongEmail }) =>
+  renderPage({
+    title: "Join unit",
+    body: `
+        <h1>Join ${escapeHtml(invite.unit.name)}</h1>
+        <p>You've been invited to join as ${invite.role === "admin" ? "an admin" : "a member"}.</p>
+        <p>This unit's admins approve, deny and pay your RMPs. To review them they see the logs in each RMP, including their notes and tags. Your unbundled hours and other balances are only shown to them if you choose to share them.</p>
+        ${error ? `<div class="alert alert-error">${escapeHtml(error)}</div>` : ""}
+        ${
+          wrongEmail
+            ? `<div class="alert alert-error">${WRONG_INVITE_EMAIL}</div>`
+            : `
+        <form method="POST" action="/api/units/join">
+            <input type="hidden" name="_csrf" value="${csrfToken}">
+            <input type="hidden" name="token" value="${escapeHtml(token)}">
+            <label class="form-group">
+                <input type="checkbox" name="consent" required>
+                I agree to this unit's admins reviewing my RMPs and the logs, notes and tags in them
+            </label>
+            <button type="submit" class="btn btn-primary">Join Unit</button>
+        </form>`
+        }`,
+  });
+
+// Invite links: confirm before joining so link previews don't use them up
+app.get("/api/units/join", async (req, res) => {
+  try {
+    res.set(NO_CACHE_HEADERS);
+    const token = typeof req.query.token === "string" ? req.query.token : "";
+    const invite = await findOpenUnitInvite(token);
+    if (!invite) {
+      return res.status(404).send(
+        renderPage({
+          title: "Invite expired",
+          body: `
+        <h1>This invite has expired</h1>
+        <div class="alert alert-error">Invite links work once and expire after 7 days. Ask your unit admin for a new one.</div>`,
+        }),
+      );
+    }
+
+    if (req.isAuthenticated?.()) {
+      const wrongEmail = !(await inviteMatchesUser(invite, req.user.id));
+      return res
+        .status(wrongEmail ? 403 : 200)
+        .send(renderJoinUnitPage({ invite, token, csrfToken: getCSRFToken(req), wrongEmail }));
+    }
+    const body = `
+        <h1>Join ${escapeHtml(invite.unit.name)}</h1>
+        <div class="alert alert-info">Sign in first, then open this invite link again.</div>
+        <a href="/api" class="btn btn-primary">Sign in</a>`;
+    res.send(renderPage({ title: "Join unit", body }));
+  } catch (error) {
+    console.error("Error in /api/units/join:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+app.post("/api/units/join", requireAuth, async (req, res) => {
+  try {
+    // Validate CSRF token
+    if (!validateCSRFToken(req)) {
+      return res.status(403).send("Invalid CSRF token");
+    }
+
+    const invite = await findOpenUnitInvite(req.body.token);
+    if (!invite) {
+      return res.status(404).send("Invite not found or expired");
+    }
+
+    const existing = await getUnitMembership(invite.unitId, req.user.id);
+    if (!existing && !(await inviteMatchesUser(invite, req.user.id))) {
+      console.warn(`[SECURITY] User ${req.user.id} tried an invite sent to another address`);
+      return res.status(403).send(
+        renderJoinUnitPage({
+          invite,
+          token: req.body.token,
+          csrfToken: getCSRFToken(req),
+          wrongEmail: true,
+        }),
+      );
+    }
+    if (!existing && req.body.consent !== "on") {
+      return res.status(400).send(
+        renderJoinUnitPage({
+          invite,
+          token: req.body.token,
+          csrfToken: getCSRFToken(req),
+          error: "Agree to RMP review to join this unit",
+        }),
+      );
+    }
+    if (!existing) {
+      // Claim the invite and join together, so the invite is only used up by a
+      // successful join and can't be used twice
+      const joined = await prisma.$transaction(async (tx) => {
+        const claimed = await tx.unitInvite.updateMany({
+          where: { id: invite.id, acceptedAt: null },
+          data: { acceptedAt: new Date(), acceptedById: req.user.id },
+        });
+        if (claimed.count === 0) return false;
+        await tx.unitMembership.create({
+          data: { unitId: invite.unitId, userId: req.user.id, role: invite.role },
+        });
+        return true;
+      });
+      if (!joined) {
+        return res.status(404).send("Invite not found or expired");
+      }
+      console.log(`[SECURITY] User ${req.user.id} joined unit ${invite.unitId} as ${invite.role}`);
+    }
+    res.redirect(`/api/units/${invite.unitId}`);
+  } catch (error) {
+    console.error("Error in POST /api/units/join:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+app.get("/api/units/:id", requireAuth, async (req, res) => {
+  try {
+    const membership = await getUnitMembership(req.params.id, req.user.id);
+    if (!membership) {
+      return res.status(404).send("Unit not found");
+    }
+    res.set(NO_CACHE_HEADERS);
+    res.send(await renderUnitPageFor(membership, getCSRFToken(req)));
+  } catch (error) {
+    console.error("Error in /api/units/:id:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+app.post("/api/units/:id/sharing", requireAuth, async (req, res) => {
+  try {
+    // Validate CSRF token
+    if (!validateCSRFToken(req)) {
+      return res.status(403).send("Invalid CSRF token");
+    }
+
+    const membership = await getUnitMembership(req.params.id, req.user.id);
+    if (!membership) {
+      return res.status(404).send("Unit not found");
+    }
+    await prisma.unitMembership.update({
+      where: { id: membership.id },
+      data: { sharing: req.body.sharing === "on" },
+    });
+    res.redirect(`/api/units/${membership.unitId}`);
+  } catch (error) {
+    console.error("Error in /api/units/:id/sharing:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+app.post("/api/units/:id/invites", requireAuth, async (req, res) => {
+  try {
+    // Validate CSRF token
+    if (!validateCSRFToken(req)) {
+      return res.status(403).send("Invalid CSRF token");
+    }
+
+    const membership = await getUnitMembership(req.params.id, req.user.id);
+    if (!membership) {
+      return res.status(404).send("Unit not found");
+    }
+    if (membership.role !== "admin") {
+      return res.status(403).send("Only unit admins can invite members");
+    }
+
+    const email = typeof req.body.email === "string" ? req.body.email.trim().toLowerCase() : "";
+    const role = UNIT_ROLES.includes(req.body.role) ? req.body.role : "member";
+    if (email && !isValidEmail(email)) {
+      res.set(NO_CACHE_HEADERS);
+      return res.status(400).send(
+        await renderUnitPageFor(membership, getCSRFToken(req), {
+          error: "Enter a valid email address",
+        }),
+      );
+    }
+
+    const token = await createUnitInvite({
+      unitId: membership.unitId,
+      email: email || null,
+      role,
+      createdById: req.user.id,
+    });
+    // Same host rules as sign-in links, so invites made on a preview deploy stay there
+    const origin = `${req.protocol}://${req.get("host")}`;
+    const inviteLink = `${isValidRedirectUrl(origin) ? origin : baseUrl}/api/units/join?token=${token}`;
+    if (email) {
+      await sendMail({
+        to: email,
+        subject: `Join ${membership.unit.name} on Three Bells`,
+        text: `${req.user.displayName || "Your unit admin"} invited you to join ${membership.unit.name} on Three Bells.\n\n${inviteLink}\n\nThe link works once and expires in 7 days.`,
+      });
+    }
+    console.log(`[SECURITY] Unit ${membership.unitId} invite created by user: ${req.user.id}`);
+
+    res.set(NO_CACHE_HEADERS);
+    res.send(await renderUnitPageFor(membership, getCSRFToken(req), { inviteLink }));
+  } catch (error) {
+    console.error("Error in /api/units/:id/invites:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+app.post("/api/units/:id/invites/:inviteId/revoke", requireAuth, async (req, res) => {
+  try {
+    // Validate CSRF token
+    if (!validateCSRFToken(req)) {
+      return res.status(403).send("Invalid CSRF token");
+    }
+
+    const membership = await getUnitMembership(req.params.id, req.user.id);
+    if (!membership) {
+      return res.status(404).send("Unit not found");
+    }
+    if (membership.role !== "admin") {
+      return res.status(403).send("Only unit admins can revoke invites");
+    }
+    if (!isValidUUID(req.params.inviteId)) {
+      return res.status(400).send("Invalid invite ID");
+    }
+
+    await prisma.unitInvite.deleteMany({
+      where: { id: req.params.inviteId, unitId: membership.unitId, acceptedAt: null },
+    });
+    res.redirect(`/api/units/${membership.unitId}`);
+  } catch (error) {
+    console.error("Error in /api/units/:id/invites/:inviteId/revoke:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+app.post("/api/units/:id/members/:membershipId/role", requireAuth, async (req, res) => {
+  try {
+    // Validate CSRF token
+    if (!validateCSRFToken(req)) {
+      return res.status(403).send("Invalid CSRF token");
+    }
+
+    const membership = await getUnitMembership(req.params.id, req.user.id);
+    if (!membership) {
+      return res.status(404).send("Unit not found");
+    }
+    if (membership.role !== "admin") {
+      return res.status(403).send("Only unit admins can change roles");
+    }
+    if (!isValidUUID(req.params.membershipId) || !UNIT_ROLES.includes(req.body.role)) {
+      return res.status(400).send("Invalid member or role");
+    }
+
+    const target = await prisma.unitMembership.findFirst({
+      where: { id: req.params.membershipId, unitId: membership.unitId },
+    });
+    if (!target) {
+      return res.status(404).send("Member not found");
+    }
+    if (req.body.role !== "admin" && (await isLastUnitAdmin(target))) {
+      res.set(NO_CACHE_HEADERS);
+      return res.status(409).send(
+        await renderUnitPageFor(membership, getCSRFToken(req), {
+          error: "A unit needs at least one admin",
+        }),
+      );
+    }
+
+    await prisma.unitMembership.update({
+      where: { id: target.id },
+      data: { role: req.body.role },
+    });
+    console.log(
+      `[SECURITY] Unit ${membership.unitId} member ${target.userId} set to ${req.body.role} by user: ${req.user.id}`,
+    );
+    res.redirect(`/api/units/${membership.unitId}`);
+  } catch (error) {
+    console.error("Error in /api/units/:id/members/:membershipId/role:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+// Admins remove members; anyone can remove themselves (leave)
+app.post("/api/units/:id/members/:membershipId/remove", requireAuth, async (req, res) => {
+  try {
+    // Validate CSRF token
+    if (!validateCSRFToken(req)) {
+      return res.status(403).send("Invalid CSRF token");
+    }
+
+    const membership = await getUnitMembership(req.params.id, req.user.id);
+    if (!membership) {
+      return res.status(404).send("Unit not found");
+    }
+    const leaving = req.params.membershipId === membership.id;
+    if (!leaving && membership.role !== "admin") {
+      return res.status(403).send("Only unit admins can remove members");
+    }
+    if (!isValidUUID(req.params.membershipId)) {
+      return res.status(400).send("Invalid member ID");
+    }
+
+    const target = await prisma.unitMembership.findFirst({
+      where: { id: req.params.membershipId, unitId: membership.unitId },
+    });
+    if (!target) {
+      return res.status(404).send("Member not found");
+    }
+
+    const remaining = await prisma.unitMembership.count({ where: { unitId: membership.unitId } });
+    if (remaining === 1) {
+      // The last member leaving takes the unit with them
+      await prisma.unit.delete({ where: { id: membership.unitId } });
+      console.log(
+        `[SECURITY] Unit ${membership.unitId} deleted by its last member: ${req.user.id}`,
+      );
+      return res.redirect("/api/units");
+    }
+    if (await isLastUnitAdmin(target)) {
+      res.set(NO_CACHE_HEADERS);
+      return res.status(409).send(
+        await renderUnitPageFor(membership, getCSRFToken(req), {
+          error: "Make another member an admin first",
+        }),
+      );
+    }
+
+    await prisma.unitMembership.delete({ where: { id: target.id } });
+    console.log(
+      `[SECURITY] Unit ${membership.unitId} member ${target.userId} removed by user: ${req.user.id}`,
+    );
+    res.redirect(leaving ? "/api/units" : `/api/units/${membership.unitId}`);
+  } catch (error) {
+    console.error("Error in /api/units/:id/members/:membershipId/remove:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+// Approval queue for unit admins: pending RMPs from members of their units,
+// with the logs in each bundle
+const REVIEW_QUEUE_STATUSES = ["submitted", "resubmitted", "approved"];
+const REVIEW_DECISIONS = ["approved", "denied", "paid"];
+
+const getReviewQueue = async (adminId) => {
+  const members = await getReviewedMembers(adminId);
+  const rmps = members.size
+    ? await prisma.rmp.findMany({
+        where: { userId: { in: [...members.keys()] }, status: { in: REVIEW_QUEUE_STATUSES } },
+        include: { logs: { orderBy: { start: "asc" }, include: { tags: true } } },
+        orderBy: { filedDate: "asc" },
+      })
+    : [];
+  return { members, rmps };
+};
+
+// Apply one decision to several RMPs, skipping any the admin can't make.
+// reasonFor(id) gives the comment for each RMP.
+const applyReviewDecisions = async (ids, status, reasonFor, actor) => {
+  const applied = [];
+  const skipped = [];
+  for (const id of ids) {
+    const rmp = isValidUUID(id) ? await prisma.rmp.findUnique({ where: { id } }) : null;
+    if (!rmp) {
+      skipped.push({ id, reason: "not_found" });
+      continue;
+    }
+    const access = await getRmpAccess(rmp, actor.id);
+    if (!access.reviewer || !canSetRmpStatus(access, status)) {
+      skipped.push({ id, reason: "forbidden" });
+      continue;
+    }
+    if (!canTransitionRmp(rmp.status, status)) {
+      skipped.push({ id, reason: "invalid_transition" });
+      continue;
+    }
+    const reason = cleanText(reasonFor(id));
+    if (!(await transitionRmp(rmp, status, reason, actor.id))) {
+      skipped.push({ id, reason: "conflict" });
+      continue;
+    }
+    applied.push({ rmp, status, reason });
+  }
+  await notifyRmpDecisions(applied, actor);
+  return { applied, skipped };
+};
+
+const renderReviewPage = ({ members, rmps, csrfToken, timeZone, result }) => {
+  const body = `
+        <h1>Review RMPs</h1>
+        <p class="muted">Pending RMPs from members of units you admin. Members are notified of each decision.</p>
+        ${
+          result
+            ? `<div class="alert ${result.skipped ? "alert-error" : "alert-success"}">${result.applied} RMP${result.applied === 1 ? "" : "s"} updated${result.skipped ? `, ${result.skipped} skipped (no longer pending, changed by someone else or not yours to review)` : ""}.</div>`
+            : ""
+        }
+        ${
+          rmps.length
+            ? `
+        <form method="POST" action="/api/review" class="card">
+            <input type="hidden" name="_csrf" value="${csrfToken}">
+            <table class="data-table review-table">
+                <thead><tr><th><input type="checkbox" id="selectAll" title="Select all"></th><th>Member</th><th>Filed</th><th>Status</th><th>Hours</th><th>Comment</th><th></th></tr></thead>
+                <tbody>
+                    ${rmps
+                      .map((r) => {
+                        const member = members.get(r.userId);
+                        const name =
+                          [member.user.rank, member.user.displayName].filter(Boolean).join(" ") ||
+                          member.user.email ||
+                          "Unnamed member";
+                        const hours = cleanNum(r.logs.reduce((s, l) => s + l.hours, 0));
+                        return `<tr>
+                        <td><input type="checkbox" name="ids" value="${r.id}" class="review-select"></td>
+                        <td>${escapeHtml(name)}<div class="muted">${escapeHtml(member.units.join(", "))}</div></td>
+                        <td>${r.filedDate.toLocaleDateString("en-US", { timeZone: "UTC" })}</td>
+                        <td><span class="rmp-badge ${r.status}">${r.status}</span></td>
+                        <td>
+                            <details>
+                                <summary>${hours} hrs · ${escapeHtml(RMP_TYPES[r.type]?.label || r.type)}</summary>
+                                <ul class="review-logs">
+                                    ${r.logs
+                                      .map(
+                                        (l) =>
+                                          `<li>${formatDate(l.start, timeZone)} ${formatLogTimeRange(l, timeZone)} · ${l.hours} hrs${l.note ? ` · ${escapeHtml(l.note)}` : ""}</li>`,
+                                      )
+                                      .join("")}
+                                </ul>
+                                ${r.notes ? `<div class="muted">${escapeHtml(r.notes)}</div>` : ""}
+                            </details>
+                        </td>
+                        <td><input type="text" name="reason_${r.id}" maxlength="500" placeholder="Optional"></td>
+                        <td class="review-actions">
+                            ${REVIEW_DECISIONS.filter((next) => canTransitionRmp(r.status, next))
+                              .map(
+                                (next) =>
+                                  `<button type="submit" name="single" value="${r.id}:${next}" class="btn btn-small ${RMP_STATUS_ACTIONS[next].className}">${RMP_STATUS_ACTIONS[next].label}</button>`,
+                              )
+                              .join("")}
+                        </td>
+                    </tr>`;
+                      })
+                      .join("")}
+                </tbody>
+            </table>
+            <div class="review-bulk">
+                <input type="text" name="reason" maxlength="500" placeholder="Comment for selected (optional)">
+                ${REVIEW_DECISIONS.map(
+                  (next) =>
+                    `<button type="submit" name="status" value="${next}" class="btn btn-small ${RMP_STATUS_ACTIONS[next].className}">${RMP_STATUS_ACTIONS[next].label} selected</button>`,
+                ).join("")}
+            </div>
+        </form>`
+            : '<div class="card"><p class="muted">Nothing waiting for review.</p></div>'
+        }
+    `;
+
+  const styles = `
+            .review-table td { vertical-align: top; }
+            .review-table .muted { font-size: 0.85em; }
+            .review-table input[type="text"] { padding: 6px; font-size: 0.9em; }
+            .review-actions { white-space: nowrap; }
+            .review-actions .btn { margin: 0 4px 4px 0; }
+            .review-logs { margin: 6px 0 6px 18px; font-size: 0.85em; color: #555; }
+            .review-bulk {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 8px;
+                align-items: center;
+                margin-top: 16px;
+            }
+            .review-bulk input { flex: 1; min-width: 200px; }
+            .rmp-badge {
+                display: inline-block;
+                font-size: 0.75em;
+                padding: 4px 10px;
+                border-radius: 12px;
+                color: white;
+                text-transform: uppercase;
+                font-weight: 600;
+            }
+            .rmp-badge.submitted { background: #ffc107; }
+            .rmp-badge.resubmitted { background: #17a2b8; }
+            .rmp-badge.approved { background: #6f42c1; }
+    `;
+
+  const script = `
+        const selectAll = document.getElementById('selectAll');
+        if (selectAll) {
+            selectAll.addEventListener('change', () => {
+                document.querySelectorAll('.review-select').forEach(box => { box.checked = selectAll.checked; });
+            });
+        }
+    `;
+
+  return renderPage({ title: "Review RMPs", body, styles, script });
+};
+
+app.get("/api/review", requireAuth, async (req, res) => {
+  try {
+    if (!(await isUnitAdmin(req.user.id))) {
+      return res.status(403).send("Only unit admins can review RMPs");
+    }
+    const { members, rmps } = await getReviewQueue(req.user.id);
+    const result =
+      "applied" in req.query
+        ? { applied: Number(req.query.applied) || 0, skipped: Number(req.query.skipped) || 0 }
+        : null;
+    res.set(NO_CACHE_HEADERS);
+    res.send(
+      renderReviewPage({
+        members,
+        rmps,
+        csrfToken: getCSRFToken(req),
+        timeZone: getUserTimeZone(req.user),
+        result,
+      }),
+    );
+  } catch (error) {
+    console.error("Error in /api/review:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+app.post("/api/review", requireAuth, async (req, res) => {
+  try {
+    // Validate CSRF token
+    if (!validateCSRFToken(req)) {
+      return res.status(403).send("Invalid CSRF token");
+    }
+
+    // A row's own button ("<id>:<status>") or a bulk action on the checked rows
+    let ids;
+    let status;
+    if (typeof req.body.single === "string") {
+      [ids, status] = [[req.body.single.split(":")[0]], req.body.single.split(":")[1]];
+    } else {
+      ids = [].concat(req.body.ids || []);
+      status = req.body.status;
+    }
+    if (!REVIEW_DECISIONS.includes(status) || ids.length === 0) {
+      return res.status(400).send("Choose RMPs and an action");
+    }
+
+    const { applied, skipped } = await applyReviewDecisions(
+      ids,
+      status,
+      (id) => req.body[`reason_${id}`] || req.body.reason,
+      req.user,
+    );
+    console.log(
+      `[SECURITY] ${applied.length} RMPs set to ${status} by reviewer: ${req.user.id} (${skipped.length} skipped)`,
+    );
+    res.redirect(`/api/review?applied=${applied.length}&skipped=${skipped.length}`);
+  } catch (error) {
+    console.error("Error in POST /api/review:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+app.post("/api/notifications/read", requireAuth, async (req, res) => {
+  try {
+    // Validate CSRF token
+    if (!validateCSRFToken(req)) {
+      return res.status(403).send("Invalid CSRF token");
+    }
+
+    await prisma.notification.updateMany({
+      where: { userId: req.user.id, readAt: null },
+      data: { readAt: new Date() },
+    });
+    res.redirect("/api");
+  } catch (error) {
+    console.error("Error in /api/notifications/read:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+// REPORTS
+// Hours and RMP activity per month, quarter or federal fiscal year (Oct-Sep).
+// Buckets are computed in Postgres: shifting a timestamp forward three months
+// lines fiscal quarters and years up with calendar ones for date_trunc.
+const REPORT_PERIODS = {
+  month: { label: "Month", unit: "month" },
+  quarter: { label: "Quarter", unit: "quarter" },
+  fy: { label: "Fiscal Year", unit: "year" },
+};
+
+// Fiscal year a YYYY-MM-DD date falls in (FY2026 runs Oct 1 2025 - Sep 30 2026)
+const fiscalYearOf = (dateStr) => {
+  const [year, month] = dateStr.split("-").map(Number);
+  return month >= 10 ? year + 1 : year;
+};
+
+const fiscalBucket = (unit, column) =>
+  Prisma.sql`date_trunc(${unit}::text, ${column} + interval '3 months') - interval '3 months'`;
+
+// Log start times bucket by the member's wall clock
+const localStart = (timeZone) =>
+  Prisma.sql`(("start" AT TIME ZONE 'UTC') AT TIME ZONE ${timeZone}::text)`;
+
+// First day of each bucket in a fiscal year (or of each fiscal year in a range)
+const reportBuckets = (period, fy, firstFy, lastFy) => {
+  if (period === "fy") {
+    return Array.from({ length: lastFy - firstFy + 1 }, (_, i) => `${firstFy + i - 1}-10-01`);
+  }
+  const step = period === "quarter" ? 3 : 1;
+  return Array.from({ length: 12 / step }, (_, i) => {
+    const monthIndex = 9 + i * step;
+    return `${fy - 1 + Math.floor(monthIndex / 12)}-${pad2((monthIndex % 12) + 1)}-01`;
+  });
+};
+
+const reportBucketLabel = (period, bucket) => {
+  const [year, month] = bucket.split("-").map(Number);
+  const fy = fiscalYearOf(bucket);
+  if (period === "fy") return `FY${fy}`;
+  if (period === "quarter") {
+    const quarter = ((month + 2) % 12) / 3 + 1;
+    return `Q${quarter} FY${String(fy).slice(2)}`;
+  }
+  return new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString("en-US", {
+    timeZone: "UTC",
+    month: "short",
+    year: "numeric",
+  });
+};
+
+// Per-bucket hours logged, RMPs filed, paid and denied, and average days from
+// filing to payment. Month and quarter reports cover one fiscal year.
+const buildReport = async (userId, period, fy, timeZone) => {
+  const { unit } = REPORT_PERIODS[period];
+  const from = `${fy - 1}-10-01`;
+  const to = `${fy}-10-01`;
+  const inYear = (column) =>
+    period === "fy"
+      ? Prisma.empty
+      : Prisma.sql`AND ${column} >= ${from}::timestamp AND ${column} < ${to}::timestamp`;
+  const decidedAt = Prisma.sql`COALESCE("statusChangedAt", "filedDate")`;
+  const daysToPay = Prisma.sql`EXTRACT(EPOCH FROM ("statusChangedAt" - "filedDate")) / 86400`;
+
+  const [hours, filed, decided, overall, categories] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT ${fiscalBucket(unit, localStart(timeZone))} AS bucket,
+             SUM("hours")::float AS hours, COUNT(*)::int AS logs
+      FROM "Log"
+      WHERE "userId" = ${userId} ${inYear(localStart(timeZone))}
+      GROUP BY 1`,
+    prisma.$queryRaw`
+      SELECT ${fiscalBucket(unit, Prisma.sql`"filedDate"`)} AS bucket, COUNT(*)::int AS filed
+      FROM "Rmp"
+      WHERE "userId" = ${userId} ${inYear(Prisma.sql`"filedDate"`)}
+      GROUP BY 1`,
+    // Paid and denied RMPs count in the period the decision was made
+    prisma.$queryRaw`
+      SELECT ${fiscalBucket(unit, decidedAt)} AS bucket,
+             COUNT(*) FILTER (WHERE "status" = 'paid')::int AS paid,
+             COUNT(*) FILTER (WHERE "status" = 'denied')::int AS denied,
+             (AVG(${daysToPay}) FILTER (WHERE "status" = 'paid' AND "statusChangedAt" IS NOT NULL))::float AS "avgDaysToPay"
+      FROM "Rmp"
+      WHERE "userId" = ${userId} AND "status" IN ('paid', 'denied') ${inYear(decidedAt)}
+      GROUP BY 1`,
+    prisma.$queryRaw`
+      SELECT (AVG(${daysToPay}))::float AS "avgDaysToPay", COUNT(*)::int AS paid
+      FROM "Rmp"
+      WHERE "userId" = ${userId} AND "status" = 'paid' AND "statusChangedAt" IS NOT NULL`,
+    // Hours per tag; a log with several tags counts toward each, untagged logs
+    // come back with a null tag
+    prisma.$queryRaw`
+      SELECT t."name" AS tag, SUM(l."hours")::float AS hours, COUNT(*)::int AS logs
+      FROM "Log" l
+      LEFT JOIN "_LogToTag" lt ON lt."A" = l."id"
+      LEFT JOIN "Tag" t ON t."id" = lt."B"
+      WHERE l."userId" = ${userId} ${inYear(localStart(timeZone))}
+      GROUP BY t."name"
+      ORDER BY hours DESC, t."name"`,
+  ]);
+
+  const key = (row) => row.bucket.toISOString().split("T")[0];
+  const byBucket = (rows) => new Map(rows.map((row) => [key(row), row]));
+  const [hoursBy, filedBy, decidedBy] = [byBucket(hours), byBucket(filed), byBucket(decided)];
+
+  // Fiscal-year reports span every year with activity, through the current one
+  const years = [...hoursBy.keys(), ...filedBy.keys(), ...decidedBy.keys()].map(fiscalYearOf);
+  const buckets = reportBuckets(period, fy, Math.min(fy, ...years), fy);
+
+  const rows = buckets.map((bucket) => ({
+    bucket,
+    label: reportBucketLabel(period, bucket),
+    hours: cleanNum(hoursBy.get(bucket)?.hours || 0),
+    logs: hoursBy.get(bucket)?.logs || 0,
+    filed: filedBy.get(bucket)?.filed || 0,
+    paid: decidedBy.get(bucket)?.paid || 0,
+    denied: decidedBy.get(bucket)?.denied || 0,
+    avgDaysToPay:
+      decidedBy.get(bucket)?.avgDaysToPay == null
+        ? null
+        : cleanNum(decidedBy.get(bucket).avgDaysToPay),
+  }));
+
+  const paid = rows.reduce((s, r) => s + r.paid, 0);
+  return {
+    period,
+    fiscalYear: period === "fy" ? null : fy,
+    rows,
+    totals: {
+      hours: cleanNum(rows.reduce((s, r) => s + r.hours, 0)),
+      logs: rows.reduce((s, r) => s + r.logs, 0),
+      filed: rows.reduce((s, r) => s + r.filed, 0),
+      paid,
+      denied: rows.reduce((s, r) => s + r.denied, 0),
+      // Weighted by the number of payments in each bucket
+      avgDaysToPay: paid
+        ? cleanNum(rows.reduce((s, r) => s + (r.avgDaysToPay ?? 0) * r.paid, 0) / paid)
+        : null,
+    },
+    categories: categories.map((c) => ({ tag: c.tag, hours: cleanNum(c.hours), logs: c.logs })),
+    allTime: {
+      paid: overall[0]?.paid || 0,
+      avgDaysToPay: overall[0]?.avgDaysToPay == null ? null : cleanNum(overall[0].avgDaysToPay),
+    },
+  };
+};
+
+// Read ?period= and ?fy= (default: months of the current fiscal year)
+const parseReportQuery = (query, timeZone) => {
+  const currentFy = fiscalYearOf(toDateInput(new Date(), timeZone));
+  const period = Object.hasOwn(REPORT_PERIODS, query.period) ? query.period : "month";
+  const fy = /^\d{4}$/.test(query.fy || "") ? Number(query.fy) : currentFy;
+  if (fy < 2000 || fy > currentFy + 1) {
+    throw new Error("Invalid fiscal year");
+  }
+  return { period, fy, currentFy };
+};
+
+const renderReportsPage = ({ report, fy, currentFy }) => {
+  const { rows, totals, allTime, period, categories } = report;
+  const maxHours = Math.max(...rows.map((r) => r.hours), 1);
+  const maxCategoryHours = Math.max(...categories.map((c) => c.hours), 1);
+  const maxRmps = Math.max(...rows.map((r) => Math.max(r.filed, r.paid, r.denied)), 1);
+  const bar = (value, max, className) =>
+    `<span class="bar ${className}" style="width:${((value / max) * 100).toFixed(1)}%" title="${value}"></span>`;
+  const days = (value) => (value === null ? "—" : `${value} days`);
+  const link = (params) =>
+    `/api/reports?${new URLSearchParams({ period, ...(period === "fy" ? {} : { fy }), ...params })}`;
+
+  const body = `
+        <h1>Reports</h1>
+        <div class="report-controls">
+            <div class="segmented">
+                ${Object.entries(REPORT_PERIODS)
+                  .map(
+                    ([id, p]) =>
+                      `<a href="${link({ period: id })}" class="${id === period ? "active" : ""}">${p.label}</a>`,
+                  )
+                  .join("")}
+            </div>
+            ${
+              period === "fy"
+                ? ""
+                : `<div class="segmented">
+                <a href="${link({ fy: fy - 1 })}">← FY${fy - 1}</a>
+                <span class="active">FY${fy}</span>
+                ${fy < currentFy ? `<a href="${link({ fy: fy + 1 })}">FY${fy + 1} →</a>` : ""}
+            </div>`
+            }
+        </div>
+
+        <div class="report-summary">
+            <div class="card"><div class="muted">Hours logged</div><strong>${totals.hours}</strong></div>
+            <div class="card"><div class="muted">RMPs filed</div><strong>${totals.filed}</strong></div>
+            <div class="card"><div class="muted">Paid / Denied</div><strong>${totals.paid} / ${totals.denied}</strong></div>
+            <div class="card"><div class="muted">Avg. filing to payment</div><strong>${days(totals.avgDaysToPay)}</strong><div class="muted">All time: ${days(allTime.avgDaysToPay)}</div></div>
+        </div>
+
+        <div class="card">
+            <h2>Hours logged</h2>
+            <div class="chart">
+                ${rows
+                  .map(
+                    (r) => `<div class="chart-row">
+                    <span class="chart-label">${r.label}</span>
+                    <span class="chart-bars">${bar(r.hours, maxHours, "bar-hours")}</span>
+                    <span class="chart-value">${r.hours}</span>
+                </div>`,
+                  )
+                  .join("")}
+            </div>
+        </div>
+
+        <div class="card">
+            <h2>Hours by category</h2>
+            ${
+              categories.length > 0
+                ? `<div class="chart">
+                ${categories
+                  .map(
+                    (c) => `<div class="chart-row">
+                    <span class="chart-label">${c.tag === null ? '<span class="muted">Untagged</span>' : escapeHtml(c.tag)}</span>
+                    <span class="chart-bars">${bar(c.hours, maxCategoryHours, "bar-hours")}</span>
+                    <span class="chart-value">${c.hours}</span>
+                </div>`,
+                  )
+                  .join("")}
+            </div>
+            <p class="muted">Logs with several tags count toward each of them.</p>`
+                : '<p class="muted">No hours logged in this period.</p>'
+            }
+        </div>
+
+        <div class="card">
+            <h2>RMPs</h2>
+            <div class="chart-legend">
+                <span><span class="swatch bar-filed"></span>Filed</span>
+                <span><span class="swatch bar-paid"></span>Paid</span>
+                <span><span class="swatch bar-denied"></span>Denied</span>
+            </div>
+            <div class="chart">
+                ${rows
+                  .map(
+                    (r) => `<div class="chart-row">
+                    <span class="chart-label">${r.label}</span>
+                    <span class="chart-bars stacked">
+                        ${bar(r.filed, maxRmps, "bar-filed")}
+                        ${bar(r.paid, maxRmps, "bar-paid")}
+                        ${bar(r.denied, maxRmps, "bar-denied")}
+                    </span>
+                    <span class="chart-value">${r.filed} / ${r.paid} / ${r.denied}</span>
+                </div>`,
+                  )
+                  .join("")}
+            </div>
+        </div>
+
+        <div class="card">
+            <table class="data-table">
+                <thead><tr><th>Period</th><th>Hours</th><th>Logs</th><th>Filed</th><th>Paid</th><th>Denied</th><th>Avg. days to pay</th></tr></thead>
+                <tbody>
+                    ${rows
+                      .map(
+                        (r) =>
+                          `<tr><td>${r.label}</td><td>${r.hours}</td><td>${r.logs}</td><td>${r.filed}</td><td>${r.paid}</td><td>${r.denied}</td><td>${r.avgDaysToPay ?? "—"}</td></tr>`,
+                      )
+                      .join("")}
+                </tbody>
+            </table>
+        </div>
+    `;
+
+  const styles = `
+            .report-controls {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 12px;
+                justify-content: space-between;
+                margin-bottom: 20px;
+            }
+            .segmented {
+                display: inline-flex;
+                border: 1px solid #d0d7e2;
+                border-radius: 8px;
+                overflow: hidden;
+            }
+            .segmented a, .segmented span {
+                padding: 8px 14px;
+                color: #002447;
+                text-decoration: none;
+                font-size: 0.9em;
+            }
+            .segmented .active {
+                background: #002447;
+                color: white;
+            }
+            .report-summary {
+                display: grid;
+                grid-template-columns: repeat(auto-fit, minmax(150px, 1fr));
+                gap: 12px;
+            }
+            .report-summary .card {
+                margin-bottom: 20px;
+            }
+            .report-summary strong {
+                display: block;
+                font-size: 1.6em;
+                color: #002447;
+                margin-top: 4px;
+            }
+            .chart-row {
+                display: grid;
+                grid-template-columns: 90px 1fr 90px;
+                gap: 10px;
+                align-items: center;
+                margin-bottom: 6px;
+                font-size: 0.85em;
+            }
+            .chart-label {
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+            .chart-value {
+                text-align: right;
+                color: #555;
+            }
+            .chart-bars {
+                display: flex;
+                flex-direction: column;
+                gap: 2px;
+            }
+            .bar {
+                display: block;
+                height: 14px;
+                min-width: 2px;
+                border-radius: 3px;
+            }
+            .stacked .bar {
+                height: 6px;
+            }
+            .bar-hours { background: #002447; }
+            .bar-filed { background: #ffc107; }
+            .bar-paid { background: #28a745; }
+            .bar-denied { background: #dc3545; }
+            .chart-legend {
+                display: flex;
+                gap: 16px;
+                font-size: 0.85em;
+                color: #555;
+                margin-bottom: 12px;
+            }
+            .swatch {
+                display: inline-block;
+                width: 10px;
+                height: 10px;
+                border-radius: 2px;
+                margin-right: 6px;
+            }
+    `;
+
+  return renderPage({ title: "Reports", body, styles });
+};
+
+// SEARCH
+// Full-text search over log and RMP notes, using the generated tsvector columns
+// (noteSearch/notesSearch) and their GIN indexes. websearch_to_tsquery accepts
+// "quoted phrases", OR and -excluded words. ts_headline marks matches with
+// control characters so the snippet can be HTML-escaped before adding <mark>.
+const SEARCH_RESULT_LIMIT = 50;
+const HIGHLIGHT_START = "\u0002";
+const HIGHLIGHT_STOP = "\u0003";
+const HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MinWords=8, MaxWords=25, MaxFragments=2, FragmentDelimiter=" … "`;
+
+const searchNotes = async (userId, text) => {
+  const [logs, rmps] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT "id", "start", "end", "hours", "rmpId",
+             ts_headline('english', "note", query, ${HEADLINE_OPTIONS}) AS snippet
+      FROM "Log", websearch_to_tsquery('english', ${text}) AS query
+      WHERE "userId" = ${userId} AND "noteSearch" @@ query
+      ORDER BY ts_rank("noteSearch", query) DESC, "start" DESC
+      LIMIT ${SEARCH_RESULT_LIMIT}`,
+    prisma.$queryRaw`
+      SELECT "id", "filedDate", "status",
+             ts_headline('english', "notes", query, ${HEADLINE_OPTIONS}) AS snippet
+      FROM "Rmp", websearch_to_tsquery('english', ${text}) AS query
+      WHERE "userId" = ${userId} AND "notesSearch" @@ query
+      ORDER BY ts_rank("notesSearch", query) DESC, "filedDate" DESC
+      LIMIT ${SEARCH_RESULT_LIMIT}`,
+  ]);
+  return { logs, rmps };
+};
+
+// Escape a ts_headline snippet and turn its match markers into <mark> tags
+const highlightSnippet = (snippet) =>
+  escapeHtml(snippet).replaceAll(HIGHLIGHT_START, "<mark>").replaceAll(HIGHLIGHT_STOP, "</mark>");
+
+// Dashboard links that narrow the History table or RMP list to the result's day
+const logResultUrl = (log, timeZone) => {
+  const day = toDateInput(log.start, timeZone);
+  return `${dashboardListUrl({ from: day, to: day }, {})}#log-${log.id}`;
+};
+const rmpResultUrl = (rmp) => {
+  const day = rmp.filedDate.toISOString().split("T")[0];
+  return `${dashboardListUrl({}, { from: day, to: day })}#rmp-${rmp.id}`;
+};
+
+const renderSearchPage = ({ q, results, timeZone }) => {
+  const resultList = (title, items, renderItem) => `
+        <h2>${title} (${items.length}${items.length === SEARCH_RESULT_LIMIT ? "+" : ""})</h2>
+        ${
+          items.length > 0
+            ? `<ul class="search-results">${items.map(renderItem).join("")}</ul>`
+            : '<p class="muted">No matching notes.</p>'
+        }`;
+
+  const body = `
+        <h1>Search Notes</h1>
+        <form method="GET" action="/api/search" class="search-form">
+            <input type="search" name="q" value="${escapeHtml(q)}" placeholder="e.g. qualification board" maxlength="100" autofocus aria-label="Search notes">
+            <button type="submit" class="btn btn-primary">Search</button>
+        </form>
+        <p class="muted">Searches the notes on your logs and RMPs. Use "quotes" for a phrase, OR for either word and -word to exclude one.</p>
+        ${
+          results
+            ? resultList(
+                "Logs",
+                results.logs,
+                (l) => `
+            <li>
+                <a href="${logResultUrl(l, timeZone)}">${formatDate(l.start, timeZone)}</a>
+                <span class="muted">${formatLogTimeRange(l, timeZone)} · ${cleanNum(l.hours)} hrs${l.rmpId ? " · 🔒 Bundled" : ""}</span>
+                <div class="search-snippet">${highlightSnippet(l.snippet)}</div>
+            </li>`,
+              ) +
+              resultList(
+                "RMPs",
+                results.rmps,
+                (r) => `
+            <li>
+                <a href="${rmpResultUrl(r)}">Filed ${r.filedDate.toLocaleDateString("en-US", { timeZone: "UTC" })}</a>
+                <span class="muted">${r.status}</span>
+                <div class="search-snippet">${highlightSnippet(r.snippet)}</div>
+            </li>`,
+              )
+            : ""
+        }
+    `;
+
+  const styles = `
+            .search-form {
+                display: flex;
+                gap: 8px;
+                margin-bottom: 12px;
+            }
+            .search-form input {
+                flex: 1;
+                padding: 10px 12px;
+                border: 2px solid #e0e0e0;
+                border-radius: 8px;
+                font-size: 1em;
+                font-family: inherit;
+            }
+            .search-results {
+                list-style: none;
+            }
+            .search-results li {
+                padding: 12px 0;
+                border-bottom: 1px solid #eee;
+            }
+            .search-results a {
+                color: #002447;
+                font-weight: 600;
+                text-decoration: none;
+                margin-right: 8px;
+            }
+            .search-snippet {
+                margin-top: 4px;
+                color: #444;
+                line-height: 1.5;
+            }
+            .search-snippet mark {
+                background: #fff3cd;
+                padding: 0 2px;
+                border-radius: 2px;
+            }
+    `;
+
+  return renderPage({ title: "Search Notes", body, styles });
+};
+
+app.get("/api/reports", requireAuth, async (req, res) => {
+  try {
+    const timeZone = getUserTimeZone(req.user);
+    let query;
+    try {
+      query = parseReportQuery(req.query, timeZone);
+    } catch (error) {
+      return res.status(400).send(escapeHtml(error.message));
+    }
+    const report = await buildReport(req.user.id, query.period, query.fy, timeZone);
+    res.set(NO_CACHE_HEADERS);
+    res.send(renderReportsPage({ report, fy: query.fy, currentFy: query.currentFy }));
+  } catch (error) {
+    console.error("Error in /api/reports:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+app.get("/api/search", requireAuth, async (req, res) => {
+  try {
+    const q = cleanFilterText(req.query.q);
+    const results = q ? await searchNotes(req.user.id, q) : null;
+    res.set(NO_CACHE_HEADERS);
+    res.send(renderSearchPage({ q, results, timeZone: getUserTimeZone(req.user) }));
+  } catch (error) {
+    console.error("Error in /api/search:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+app.post("/api/rmp/status/:id", requireAuth, async (req, res) => {
+  try {
+    // Validate CSRF token
+    if (!validateCSRFToken(req)) {
+      return res.status(403).send("Invalid CSRF token");
+    }
+
+    // Validate UUID
+    if (!isValidUUID(req.params.id)) {
+      return res.status(400).send("Invalid RMP ID");
+    }
+
+    // Check authorization - the owner or one of their unit admins, depending on the status
+    const rmp = await prisma.rmp.findUnique({ where: { id: req.params.id } });
+    if (!rmp) {
+      return res.status(404).send("RMP not found");
+    }
+    const access = await getRmpAccess(rmp, req.user.id);
+    if (!access.owner && !access.reviewer) {
+      return res.status(403).send("Unauthorized");
+    }
+
+    // Validate the requested transition
+    if (!canTransitionRmp(rmp.status, req.body.status)) {
+      return res.status(400).send("Invalid status transition");
+    }
+    if (!canSetRmpStatus(access, req.body.status)) {
+      return res.status(403).send("Your unit admin makes this decision");
+    }
+
+    if (!(await transitionRmp(rmp, req.body.status, req.body.reason, req.user.id))) {
+      return res.status(409).send("This RMP was changed by someone else. Reload and try again.");
+    }
+    await notifyRmpDecisions(
+      [{ rmp, status: req.body.status, reason: cleanText(req.body.reason) }],
+      req.user,
+    );
+    res.redirect(access.owner ? "/api" : "/api/review");
+  } catch (error) {
+    console.error("Error in /api/rmp/status:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+app.post("/api/rmp/notes/:id", requireAuth, async (req, res) => {
+  try {
+    // Validate CSRF token
+    if (!validateCSRFToken(req)) {
+      return res.status(403).send("Invalid CSRF token");
+    }
+
+    // Validate UUID
+    if (!isValidUUID(req.params.id)) {
+      return res.status(400).send("Invalid RMP ID");
+    }
+
+    // Check authorization - verify RMP belongs to user
+    const rmp = await prisma.rmp.findUnique({ where: { id: req.params.id } });
+    if (!rmp) {
+      return res.status(404).send("RMP not found");
+    }
+    if (rmp.userId !== req.user.id) {
+      return res.status(403).send("Unauthorized");
+    }
+
+    await editRmpNotes(rmp, req.body.notes, req.user.id);
+    res.redirect("/api");
+  } catch (error) {
+    console.error("Error in /api/rmp/notes:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+app.post("/api/rmp/delete/:id", requireAuth, async (req, res) => {
+  try {
+    // Validate CSRF token
+    if (!validateCSRFToken(req)) {
+      return res.status(403).send("Invalid CSRF token");
+    }
+
+    // Validate UUID
+    if (!isValidUUID(req.params.id)) {
+      return res.status(400).send("Invalid RMP ID");
+    }
+
+    // Check authorization - verify RMP belongs to user
+    const rmp = await prisma.rmp.findUnique({ where: { id: req.params.id } });
+    if (!rmp) {
+      return res.status(404).send("RMP not found");
+    }
+    if (rmp.userId !== req.user.id) {
+      return res.status(403).send("Unauthorized");
+    }
+
+    if (!(await unsubmitRmp(rmp, req.user.id))) {
+      return res.status(409).send("Approved, paid or cancelled RMPs can't be unsubmitted");
+    }
+    res.redirect("/api");
+  } catch (error) {
+    console.error("Error in /api/rmp/delete:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+// Printable summary of one RMP (filed date, status, constituent logs and total)
+// to attach to the EDM submission. Browsers can "Save as PDF" from the print dialog.
+app.get("/api/rmp/print/:id", requireAuth, async (req, res) => {
+  try {
+    if (!isValidUUID(req.params.id)) {
+      return res.status(400).send("Invalid RMP ID");
+    }
+
+    const rmp = await prisma.rmp.findUnique({
+      where: { id: req.params.id },
+      include: { logs: { orderBy: { start: "asc" }, include: { tags: true } } },
+    });
+    if (!rmp || rmp.userId !== req.user.id) {
+      return res.status(404).send("RMP not found");
+    }
+
+    res.set(NO_CACHE_HEADERS);
+    const timeZone = getUserTimeZone(req.user);
+    const total = cleanNum(rmp.logs.reduce((s, l) => s + l.hours, 0));
+    const tags = rollupTags(rmp.logs);
+    const filed = rmp.filedDate.toLocaleDateString("en-US", { timeZone: "UTC", dateStyle: "long" });
+    const member = escapeHtml([req.user.rank, req.user.displayName].filter(Boolean).join(" "));
+    const email = escapeHtml(req.user.email || "");
+
+    res.send(`
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>RMP Summary - ${escapeHtml(filed)} - Three Bells</title>
+        <style>
+            * { margin: 0; padding: 0; box-sizing: border-box; }
+            body {
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+                color: #222;
+                max-width: 800px;
+                margin: 0 auto;
+                padding: 40px 24px;
+                font-size: 14px;
+            }
+            h1 { color: #002447; font-size: 1.6em; margin-bottom: 4px; }
+            h2 { color: #002447; font-size: 1.1em; margin-bottom: 8px; }
+            .subtitle { color: #555; margin-bottom: 24px; }
+            .meta {
+                display: grid;
+                grid-template-columns: max-content 1fr;
+                gap: 6px 16px;
+                margin-bottom: 24px;
+            }
+            .meta dt { font-weight: 600; color: #555; }
+            .status { text-transform: capitalize; }
+            table { width: 100%; border-collapse: collapse; margin-bottom: 24px; }
+            th, td { text-align: left; padding: 8px; border-bottom: 1px solid #ddd; vertical-align: top; }
+            th { border-bottom: 2px solid #002447; color: #002447; }
+            td.hours, th.hours { text-align: right; white-space: nowrap; }
+            tfoot td { font-weight: 700; border-bottom: none; border-top: 2px solid #002447; }
+            .notes { white-space: pre-line; color: #555; }
+            .toolbar { display: flex; gap: 12px; margin-bottom: 24px; }
+            .toolbar a, .toolbar button {
+                padding: 8px 16px;
+                border-radius: 6px;
+                border: 1px solid #002447;
+                background: white;
+                color: #002447;
+                font: inherit;
+                cursor: pointer;
+                text-decoration: none;
+            }
+            .toolbar button { background: #002447; color: white; }
+            .generated { color: #999; font-size: 0.85em; }
+            @media print {
+                body { padding: 0; }
+                .toolbar { display: none; }
+            }
+        </style>
+    </head>
+    <body>
+        <div class="toolbar">
+            <a href="/api">← Dashboard</a>
+            <button type="button" onclick="window.print()">Print / Save as PDF</button>
+        </div>
+        <h1>RMP Summary</h1>
+        <div class="subtitle">${escapeHtml(RMP_TYPES[rmp.type]?.label || rmp.type)} · ${rmp.blockHours} hour block</div>
+        <dl class="meta">
+            ${member ? `<dt>Member</dt><dd>${member}${email ? ` (${email})` : ""}</dd>` : ""}
+            ${req.user.uic ? `<dt>Unit (UIC)</dt><dd>${escapeHtml(req.user.uic)}</dd>` : ""}
+            <dt>Filed</dt><dd>${escapeHtml(filed)}</dd>
+            <dt>Status</dt><dd class="status">${rmp.status}</dd>
+            ${rmp.statusReason ? `<dt>Reason</dt><dd>${escapeHtml(rmp.statusReason)}</dd>` : ""}
+            ${tags.length > 0 ? `<dt>Tags</dt><dd>${escapeHtml(tags.join(", "))}</dd>` : ""}
+            <dt>RMP ID</dt><dd>${rmp.id}</dd>
+        </dl>
+        <table>
+            <thead>
+                <tr><th>Date</th><th>Time</th><th>Note</th><th class="hours">Hours</th></tr>
+            </thead>
+            <tbody>
+                ${rmp.logs
+                  .map(
+                    (l) => `
+                <tr>
+                    <td>${formatDate(l.start, timeZone)}</td>
+                    <td>${formatLogTimeRange(l, timeZone)}</td>
+                    <td>${escapeHtml(l.note || "")}</td>
+                    <td class="hours">${l.hours}</td>
+                </tr>`,
+                  )
+                  .join("")}
+            </tbody>
+            <tfoot>
+                <tr><td colspan="3">Total</td><td class="hours">${total}</td></tr>
+            </tfoot>
+        </table>
+        ${rmp.notes ? `<h2>Notes</h2><p class="notes">${escapeHtml(rmp.notes)}</p>` : ""}
+        <p class="generated">Generated by Three Bells on ${new Date().toLocaleDateString("en-US", { dateStyle: "long", timeZone })}</p>
+    </body>
+    </html>
+    `);
+  } catch (error) {
+    console.error("Error in /api/rmp/print:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+app.post("/api/delete/:id", requireAuth, async (req, res) => {
+  try {
+    // Validate CSRF token
+    if (!validateCSRFToken(req)) {
+      return res.status(403).send("Invalid CSRF token");
+    }
+
+    // Validate UUID
+    if (!isValidUUID(req.params.id)) {
+      return res.status(400).send("Invalid log ID");
+    }
+
+    // Delete log (only if it belongs to user and is not locked)
+    const result = await prisma.log.deleteMany({
+      where: { id: req.params.id, userId: req.user.id, rmpId: null },
+    });
+
+    if (result.count === 0) {
+      return res.status(404).send("Log entry not found or locked");
+    }
+
+    res.redirect("/api");
+  } catch (error) {
+    console.error("Error in /api/delete:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+app.get("/api/export", requireAuth, async (req, res) => {
+  const exportType = req.query.type ?? "logs";
+  const timeZone = getUserTimeZone(req.user);
+  if (!Object.hasOwn(EXPORT_TYPES, exportType)) {
+    return res.status(400).send("Invalid export type");
+  }
+
+  let range;
+  try {
+    range = parseExportRange(
+      req.query.from,
+      req.query.to,
+      exportType === "logs" ? timeZone : "UTC",
+    );
+  } catch (error) {
+    return res.status(400).send(error.message);
+  }
+
+  try {
+    const suffix = [req.query.from, req.query.to].filter(Boolean).join("_to_");
+    const filename = `three-bells-${exportType}${suffix ? `-${suffix}` : ""}.csv`;
+    res.set({
+      ...NO_CACHE_HEADERS,
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="${filename}"`,
+    });
+    await streamCsvExport(res, req.user.id, exportType, range, timeZone);
+  } catch (error) {
+    console.error("Error in /api/export:", error);
+    // Headers are gone once streaming starts; abort the connection so the
+    // browser reports a failed download instead of saving a truncated file
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+// REMINDERS
+// Web Push reminders, sent by a cron job that runs every 10 minutes from 17:00
+// to 18:50 UTC (GET /api/cron/reminders, see vercel.json). Each browser a member
+// turns reminders on in keeps a PushSubscription; which reminders they get is in
+// preferences.reminders. Every reminder sent is recorded as a ReminderDelivery
+// keyed by its occasion, so a rerun of the job never repeats one.
+const MAX_PENDING_REMINDER_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PUSH_TIMEOUT_MS = 10000;
+// vercel.json gives the function 60s (maxDuration); reminder batches stop
+// starting halfway through so the last one can finish.
+const REMINDER_BUDGET_MS = 30 * 1000;
+const REMINDER_BATCH_SIZE = 20;
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+const REMINDER_DEFAULTS = {
+  // No hours logged in the 7 days up to noHoursDay (0 = Sunday)
+  noHours: true,
+  noHoursDay: 0,
+  // Enough unbundled hours for an RMP (at most once a week)
+  readyToBundle: true,
+  // An RMP pending pendingDays since its last status change (and every pendingDays after)
+  pendingRmp: true,
+  pendingDays: 30,
+};
+
+const pushEnabled = () => Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+
+const getReminderSettings = (user) => ({
+  ...REMINDER_DEFAULTS,
+  ...user.preferences?.reminders,
+});
+
+// Validate reminder settings; anything left out keeps its current value
+const parseReminderSettings = (input, current = REMINDER_DEFAULTS) => {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw new Error("Reminders must be an object");
+  }
+  const settings = { ...current };
+  for (const key of ["noHours", "readyToBundle", "pendingRmp"]) {
+    if (input[key] === undefined) continue;
+    if (typeof input[key] !== "boolean") {
+      throw new Error(`${key} must be true or false`);
+    }
+    settings[key] = input[key];
+  }
+  if (input.noHoursDay !== undefined) {
+    const day = Number(input.noHoursDay);
+    if (!Number.isInteger(day) || day < 0 || day > 6) {
+      throw new Error("noHoursDay must be 0 (Sunday) to 6 (Saturday)");
+    }
+    settings.noHoursDay = day;
+  }
+  if (input.pendingDays !== undefined) {
+    const days = Number(input.pendingDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_PENDING_REMINDER_DAYS) {
+      throw new Error(`Pending days must be between 1 and ${MAX_PENDING_REMINDER_DAYS}`);
+    }
+    settings.pendingDays = days;
+  }
+  return settings;
+};
+
+// The browsers' push services. The server posts to whatever endpoint a member
+// registers, so only these hosts are accepted (plus localhost in development,
+// for scripts/mock-push-service.js).
+const PUSH_SERVICE_HOSTS = [
+  /^fcm\.googleapis\.com$/,
+  /^updates\.push\.services\.mozilla\.com$/,
+  /^([a-z0-9-]+\.)*push\.apple\.com$/,
+  /^([a-z0-9-]+\.)*notify\.windows\.com$/,
+];
+
+const isPushEndpoint = (endpoint) => {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    return false;
+  }
+  if (!isProd && url.protocol === "http:" && ["localhost", "127.0.0.1"].includes(url.hostname)) {
+    return true;
+  }
+  return (
+    url.protocol === "https:" &&
+    !url.port &&
+    !url.username &&
+    PUSH_SERVICE_HOSTS.some((host) => host.test(url.hostname))
+  );
+};
+
+// A subscription as the browser serializes it: { endpoint, keys: { p256dh, auth } }
+const parsePushSubscription = (body) => {
+  const endpoint = body?.endpoint;
+  if (typeof endpoint !== "string" || endpoint.length > 2048 || !isPushEndpoint(endpoint)) {
+    throw new Error("Endpoints must belong to a browser push service");
+  }
+  const isKey = (key) => typeof key === "string" && /^[A-Za-z0-9_-]{1,200}={0,2}$/.test(key);
+  const { p256dh, auth } = body.keys || {};
+  if (!isKey(p256dh) || !isKey(auth)) {
+    throw new Error("Invalid subscription keys");
+  }
+  return { endpoint, p256dh, auth };
+};
+
+const serializePushSubscription = (subscription) => ({
+  id: subscription.id,
+  endpoint: subscription.endpoint,
+  createdAt: subscription.createdAt.toISOString(),
+});
+
+// Send a notification ({ title, body, url, tag }) to each subscription at once,
+// dropping the ones the push service reports as gone. Returns how many were
+// delivered. web-push encrypts and signs the request; it's sent with fetch so the
+// plain-HTTP mock push service works in development.
+const sendPush = async (subscriptions, notification) => {
+  let delivered = 0;
+  const send = async (subscription) => {
+    if (!isPushEndpoint(subscription.endpoint)) return;
+    try {
+      const { endpoint, method, headers, body } = webpush.generateRequestDetails(
+        {
+          endpoint: subscription.endpoint,
+          keys: { p256dh: subscription.p256dh, auth: subscription.auth },
+        },
+        JSON.stringify(notification),
+        {
+          TTL: DAY_MS / 1000,
+          vapidDetails: {
+            subject: process.env.VAPID_SUBJECT || "mailto:no-reply@three-bells.app",
+            publicKey: process.env.VAPID_PUBLIC_KEY,
+            privateKey: process.env.VAPID_PRIVATE_KEY,
+          },
+        },
+      );
+      const response = await fetch(endpoint, {
+        method,
+        headers,
+        body,
+        redirect: "error",
+        signal: AbortSignal.timeout(PUSH_TIMEOUT_MS),
+      });
+      if (response.ok) {
+        delivered++;
+      } else if (response.status === 404 || response.status === 410) {
+        await prisma.pushSubscription.deleteMany({ where: { id: subscription.id } });
+      } else {
+        console.error("Push delivery failed:", response.status, await response.text());
+      }
+    } catch (error) {
+      console.error("Push delivery failed:", error.message);
+    }
+  };
+  await Promise.all(subscriptions.map(send));
+  return delivered;
+};
+
+// The reminders a member is due at `now`, each { kind, key, title, body, url }.
+// Days and weeks are the member's own (weeks start on Monday).
+const dueReminders = async (user, now) => {
+  const settings = getReminderSettings(user);
+  const timeZone = getUserTimeZone(user);
+  const today = toDateInput(now, timeZone);
+  const weekday = new Date(`${today}T00:00:00Z`).getUTCDay();
+  const reminders = [];
+
+  if (settings.noHours && weekday === settings.noHoursDay) {
+    const since = zonedTimeToUtc(addDays(today, -6), "00:00", timeZone);
+    const logged = await prisma.log.count({ where: { userId: user.id, start: { gte: since } } });
+    if (logged === 0) {
+      reminders.push({
+        kind: "no_hours",
+        key: today,
+        title: "No hours logged this week",
+        body: "Log your drill hours while you still remember them.",
+        url: "/api",
+      });
+    }
+  }
+
+  if (settings.readyToBundle) {
+    const { _sum } = await prisma.log.aggregate({
+      where: { userId: user.id, rmpId: null },
+      _sum: { hours: true },
+    });
+    const hours = cleanNum(_sum.hours || 0);
+    const rmpType = RMP_TYPES[getRmpType({ user })];
+    const ready = Math.floor(hours / rmpType.hours);
+    if (ready > 0) {
+      reminders.push({
+        kind: "ready_to_bundle",
+        key: addDays(today, -((weekday + 6) % 7)),
+        title: `${ready} ${rmpType.label} RMP${ready === 1 ? "" : "s"} ready to bundle`,
+        body: `You have ${hours} unbundled hours. Bundle them so they can be filed.`,
+        url: "/api#bundleCard",
+      });
+    }
+  }
+
+  if (settings.pendingRmp) {
+    const cutoff = new Date(now.getTime() - settings.pendingDays * DAY_MS);
+    const rmps = await prisma.rmp.findMany({
+      where: {
+        userId: user.id,
+        status: { in: PENDING_RMP_STATUSES },
+        OR: [
+          { statusChangedAt: { lte: cutoff } },
+          { statusChangedAt: null, filedDate: { lte: cutoff } },
+        ],
+      },
+      orderBy: { filedDate: "asc" },
+    });
+    for (const rmp of rmps) {
+      const days = Math.floor((now - (rmp.statusChangedAt ?? rmp.filedDate)) / DAY_MS);
+      reminders.push({
+        kind: "pending_rmp",
+        key: `${rmp.id}:${rmp.status}:${Math.floor(days / settings.pendingDays)}`,
+        title: "RMP still pending",
+        body: `Your RMP filed ${formatDate(rmp.filedDate, "UTC")} has been ${rmp.status} for ${days} days. Follow up with your unit.`,
+        url: `/api#rmp-${rmp.id}`,
+      });
+    }
+  }
+
+  return reminders;
+};
+
+// Check one member for the reminders they're due, at most once per UTC day: a
+// "checked" ReminderDelivery keyed by the day claims the member, so overlapping
+// and later runs skip them. Each reminder is also recorded before it's sent, and
+// that record is dropped if no device got it. Unless every reminder got through,
+// the member is left unchecked so the next run tries again.
+const sendUserReminders = async (user, now, day) => {
+  const { count } = await prisma.reminderDelivery.createMany({
+    data: [{ userId: user.id, kind: "checked", key: day }],
+    skipDuplicates: true,
+  });
+  if (count === 0) return 0;
+  await prisma.reminderDelivery.deleteMany({
+    where: { userId: user.id, kind: "checked", key: { not: day } },
+  });
+
+  let sent = 0;
+  let complete = false;
+  try {
+    let failed = false;
+    for (const { kind, key, ...notification } of await dueReminders(user, now)) {
+      const { count } = await prisma.reminderDelivery.createMany({
+        data: [{ userId: user.id, kind, key }],
+        skipDuplicates: true,
+      });
+      if (count === 0) continue;
+      if ((await sendPush(user.pushSubscriptions, { ...notification, tag: kind })) > 0) {
+        sent++;
+      } else {
+        await prisma.reminderDelivery.deleteMany({ where: { userId: user.id, kind, key } });
+        failed = true;
+      }
+    }
+    complete = !failed;
+  } finally {
+    if (!complete) {
+      await prisma.reminderDelivery.deleteMany({
+        where: { userId: user.id, kind: "checked", key: day },
+      });
+    }
+  }
+  return sent;
+};
+
+// Send everyone with a subscription the reminders they're due, a batch of members
+// at a time, until the time budget is spent. Vercel Cron repeats the run every
+// 10 minutes for two hours (see vercel.json), and each run only takes members
+// not yet checked today, so whoever one run doesn't reach (`remaining`) is picked
+// up by the next.
+const sendReminders = async (now = new Date(), budgetMs = REMINDER_BUDGET_MS) => {
+  const started = Date.now();
+  const day = now.toISOString().slice(0, 10);
+  const unchecked = {
+    pushSubscriptions: { some: {} },
+    reminderDeliveries: { none: { kind: "checked", key: day } },
+  };
+  let members = 0;
+  let sent = 0;
+  let cursor;
+  while (Date.now() - started < budgetMs) {
+    const users = await prisma.user.findMany({
+      where: cursor ? { ...unchecked, id: { gt: cursor } } : unchecked,
+      include: { pushSubscriptions: true },
+      orderBy: { id: "asc" },
+      take: REMINDER_BATCH_SIZE,
+    });
+    const results = await Promise.all(
+      users.map((user) =>
+        sendUserReminders(user, now, day).catch((error) => {
+          console.error(`Error sending reminders to ${user.id}:`, error);
+          return 0;
+        }),
+      ),
+    );
+    members += users.length;
+    sent += results.reduce((total, count) => total + count, 0);
+    if (users.length < REMINDER_BATCH_SIZE) break;
+    cursor = users[users.length - 1].id;
+  }
+  const remaining = await prisma.user.count({ where: unchecked });
+  if (remaining > 0) {
+    console.warn(`Reminder run checked ${members} members; ${remaining} left for the next run`);
+  }
+  return { members, sent, remaining };
+};
+
+// Vercel Cron calls this with "Authorization: Bearer $CRON_SECRET"
+app.get("/api/cron/reminders", async (req, res) => {
+  const expected = Buffer.from(`Bearer ${process.env.CRON_SECRET}`);
+  const given = Buffer.from(req.get("Authorization") || "");
+  if (
+    !process.env.CRON_SECRET ||
+    given.length !== expected.length ||
+    !crypto.timingSafeEqual(given, expected)
+  ) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  if (!pushEnabled()) {
+    return res.status(503).json({ error: "Push reminders aren't configured" });
+  }
+  try {
+    res.json(await sendReminders());
+  } catch (error) {
+    console.error("Error in /api/cron/reminders:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+app.post("/api/settings/reminders", requireAuth, async (req, res) => {
+  try {
+    // Validate CSRF token
+    if (!validateCSRFToken(req)) {
+      return res.status(403).send("Invalid CSRF token");
+    }
+
+    let reminders;
+    try {
+      reminders = parseReminderSettings({
+        noHours: Boolean(req.body.noHours),
+        noHoursDay: req.body.noHoursDay,
+        readyToBundle: Boolean(req.body.readyToBundle),
+        pendingRmp: Boolean(req.body.pendingRmp),
+        pendingDays: req.body.pendingDays,
+      });
+    } catch (error) {
+      res.set(NO_CACHE_HEADERS);
+      return res.status(400).send(
+        renderSettingsPage({
+          user: req.user,
+          csrfToken: getCSRFToken(req),
+          identities: await getIdentities(req.user.id),
+          tags: await getTags(req.user.id),
+          error: error.message,
+        }),
+      );
+    }
+
+    await updateUserProfile(req.user, { preferences: { reminders } });
+    res.redirect("/api/settings?saved#reminders");
+  } catch (error) {
+    console.error("Error in POST /api/settings/reminders:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+// JSON API (v1)
+// Versioned REST endpoints for scripts and mobile shortcuts. Authentication
+// uses the same session cookie as the dashboard; mutating requests must send
+// the session's CSRF token in the X-CSRF-Token header (see GET /api/v1/session).
+const apiV1 = express.Router();
+
+// Send a structured JSON error: { error: { code, message } }
+const sendApiError = (res, status, code, message) =>
+  res.status(status).json({ error: { code, message } });
+
+const serializeLog = (log) => ({
+  id: log.id,
+  hours: log.hours,
+  start: log.start.toISOString(),
+  end: log.end.toISOString(),
+  manual: log.start.getTime() === log.end.getTime(),
+  note: log.note,
+  rmpId: log.rmpId,
+  ...(log.tags && { tags: sortTagNames(log.tags.map((t) => t.name)) }),
+});
+
+const serializeRmpEvent = (event) => ({
+  id: event.id,
+  type: event.type,
+  fromStatus: event.fromStatus,
+  toStatus: event.toStatus,
+  reason: event.reason,
+  notes: event.notes,
+  actorId: event.actorId,
+  createdAt: event.createdAt.toISOString(),
+});
+
+const serializeRmp = (rmp) => ({
+  id: rmp.id,
+  filedDate: rmp.filedDate.toISOString().split("T")[0],
+  type: rmp.type,
+  blockHours: rmp.blockHours,
+  status: rmp.status,
+  statusReason: rmp.statusReason,
+  statusChangedAt: rmp.statusChangedAt?.toISOString() ?? null,
+  notes: rmp.notes,
+  ...(rmp.logs && {
+    hours: cleanNum(rmp.logs.reduce((s, l) => s + l.hours, 0)),
+    logs: rmp.logs.map(serializeLog),
+    tags: rollupTags(rmp.logs),
+  }),
+  ...(rmp.events && { events: rmp.events.map(serializeRmpEvent) }),
+});
+
+// Look up a log or RMP by ID, enforcing the same ownership checks as the form routes.
+// Sends the error response and returns null if the record can't be used.
+const findOwnedRecord = async (res, model, id, userId, include) => {
+  const label = { log: "Log", rmp: "RMP", tag: "Tag" }[model];
+  if (!isValidUUID(id)) {
+    sendApiError(res, 400, "invalid_id", `Invalid ${label} ID`);
+    return null;
+  }
+  const record = await prisma[model].findUnique({ where: { id }, include });
+  if (!record) {
+    sendApiError(res, 404, "not_found", `${label} not found`);
+    return null;
+  }
+  if (record.userId !== userId) {
+    sendApiError(res, 403, "forbidden", "Unauthorized");
+    return null;
+  }
+  return record;
+};
+
+// List endpoints return everything unless ?limit= is given, then pages of up to
+// 100 with nextCursor. Sends the error response and returns null on bad params.
+const API_MAX_PAGE_SIZE = 100;
+const findApiPage = async (res, model, query, { where, orderBy, cursor, include }) => {
+  if (query.cursor !== undefined && !isValidUUID(query.cursor)) {
+    sendApiError(res, 400, "invalid_cursor", "Invalid cursor");
+    return null;
+  }
+  if (query.limit === undefined) {
+    return { items: await prisma[model].findMany({ where, orderBy, include }), nextCursor: null };
+  }
+  const limit = Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > API_MAX_PAGE_SIZE) {
+    sendApiError(res, 400, "invalid_limit", `limit must be between 1 and ${API_MAX_PAGE_SIZE}`);
+    return null;
+  }
+  return findPage(model, { where, orderBy, cursor, pageSize: limit, include });
+};
+
+apiV1.use((req, res, next) => {
+  res.set({
+    "Cache-Control": "no-store, no-cache, must-revalidate, private",
+    "Vercel-CDN-Cache-Control": "no-store, no-cache, must-revalidate",
+  });
+  if (!req.isAuthenticated?.() || !req.user?.id) {
+    return sendApiError(res, 401, "unauthorized", "Authentication required");
+  }
+  // Only safe methods may skip the CSRF check
+  if (!["GET", "HEAD", "OPTIONS"].includes(req.method)) {
+    const token = req.get("X-CSRF-Token");
+    if (!token || !req.session.csrfToken || token !== req.session.csrfToken) {
+      return sendApiError(res, 403, "invalid_csrf", "Invalid CSRF token");
+    }
+    if (["POST", "PATCH"].includes(req.method) && !req.is("application/json")) {
+      return sendApiError(res, 415, "unsupported_media_type", "Expected application/json");
+    }
+  }
+  next();
+});
+apiV1.use("/logs/import", express.json({ limit: IMPORT_BODY_LIMIT }));
+apiV1.use(express.json({ limit: "100kb" }));
+
+apiV1.get("/session", (req, res) => {
+  res.json({
+    user: serializeProfile(req.user),
+    csrfToken: getCSRFToken(req),
+  });
+});
+
+apiV1.get("/profile", (req, res) => {
+  res.json({ user: serializeProfile(req.user) });
+});
+
+apiV1.patch("/profile", async (req, res) => {
+  let data;
+  try {
+    const { displayName, rank, uic, timezone, preferences } = req.body;
+    data = parseProfileInput({ displayName, rank, uic, timezone, rmpType: preferences?.rmpType });
+    if (preferences?.reminders !== undefined) {
+      data.preferences = {
+        ...data.preferences,
+        reminders: parseReminderSettings(preferences.reminders, getReminderSettings(req.user)),
+      };
+    }
+  } catch (error) {
+    return sendApiError(res, 400, "invalid_input", error.message);
+  }
+  try {
+    const user = await updateUserProfile(req.user, data);
+    res.json({ user: serializeProfile(user) });
+  } catch (error) {
+    console.error("Error in PATCH /api/v1/profile:", error);
+    sendApiError(res, 500, "internal_error", "Internal Server Error");
+  }
+});
+
+apiV1.get("/summary", async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const [unbundledHours, rmpCounts] = await Promise.all([
+      prisma.log.aggregate({ where: { userId, rmpId: null }, _sum: { hours: true } }),
+      prisma.rmp.groupBy({ by: ["status"], where: { userId }, _count: true }),
+    ]);
+    const earnedHours = cleanNum(unbundledHours._sum.hours || 0);
+    const rmpType = getRmpType(req);
+    res.json({
+      earnedHours,
+      rmpType,
+      blockHours: RMP_TYPES[rmpType].hours,
+      availableRmps: Math.floor(earnedHours / RMP_TYPES[rmpType].hours),
+      pendingRmps: rmpCounts
+        .filter((r) => PENDING_RMP_STATUSES.includes(r.status))
+        .reduce((s, r) => s + r._count, 0),
+      paidRmps: rmpCounts.find((r) => r.status === "paid")?._count || 0,
+      deniedRmps: rmpCounts.find((r) => r.status === "denied")?._count || 0,
+    });
+  } catch (error) {
+    console.error("Error in GET /api/v1/summary:", error);
+    sendApiError(res, 500, "internal_error", "Internal Server Error");
+  }
+});
+
+apiV1.get("/logs", async (req, res) => {
+  try {
+    // bundled=true|false predates the dashboard's bundled/unbundled values
+    const bundled = { true: "bundled", false: "unbundled" }[req.query.bundled] || req.query.bundled;
+    const filters = parseLogFilters({ ...req.query, bundled });
+    const where = buildLogWhere(req.user.id, filters, getUserTimeZone(req.user));
+    const page = await findApiPage(res, "log", req.query, {
+      where,
+      orderBy: LOG_SORTS[filters.sort].orderBy,
+      cursor: filters.cursor,
+      include: { tags: true },
+    });
+    if (!page) return;
+    res.json({ logs: page.items.map(serializeLog), nextCursor: page.nextCursor });
+  } catch (error) {
+    console.error("Error in GET /api/v1/logs:", error);
+    sendApiError(res, 500, "internal_error", "Internal Server Error");
+  }
+});
+
+apiV1.get("/logs/:id", async (req, res) => {
+  try {
+    const log = await findOwnedRecord(res, "log", req.params.id, req.user.id, { tags: true });
+    if (!log) return;
+    res.json({ log: serializeLog(log) });
+  } catch (error) {
+    console.error("Error in GET /api/v1/logs/:id:", error);
+    sendApiError(res, 500, "internal_error", "Internal Server Error");
+  }
+});
+
+apiV1.post("/logs", async (req, res) => {
+  let data;
+  let tagNames;
+  try {
+    data = getTimes(req.body, getUserTimeZone(req.user));
+    tagNames = parseTagNames(req.body) ?? [];
+  } catch (error) {
+    return sendApiError(res, 400, "invalid_input", sanitizeError(error, isProd));
+  }
+  try {
+    const log = await prisma.log.create({
+      data: {
+        ...data,
+        userId: req.user.id,
+        tags: { connect: await resolveTags(req.user.id, tagNames) },
+      },
+      include: { tags: true },
+    });
+    res.status(201).json({ log: serializeLog(log) });
+  } catch (error) {
+    console.error("Error in POST /api/v1/logs:", error);
+    sendApiError(res, 500, "internal_error", "Internal Server Error");
+  }
+});
+
+// Import many logs at once: { logs: [...] } or { csv: "..." }, with
+// "dryRun": true to only validate. Rows with errors block the whole import.
+apiV1.post("/logs/import", async (req, res) => {
+  let records;
+  try {
+    records =
+      typeof req.body.csv === "string"
+        ? parseImportText(req.body.csv, "csv")
+        : parseImportText(JSON.stringify(req.body.logs ?? null), "json");
+  } catch (error) {
+    return sendApiError(res, 400, "invalid_input", error.message);
+  }
+  try {
+    const rows = await previewImport(req.user.id, records, getUserTimeZone(req.user));
+    const result = rows.map((r) => ({
+      row: r.row,
+      status: r.error ? "error" : r.duplicate ? "duplicate" : "ok",
+      ...(r.error ? { error: r.error } : {}),
+    }));
+    if (req.body.dryRun === true) {
+      return res.json({ dryRun: true, imported: 0, rows: result });
+    }
+    if (rows.some((r) => r.error)) {
+      return res.status(422).json({
+        error: { code: "invalid_import", message: "Fix the rows with errors before importing" },
+        rows: result,
+      });
+    }
+    const imported = await commitImport(req.user.id, rows);
+    res.status(201).json({ dryRun: false, imported, rows: result });
+  } catch (error) {
+    console.error("Error in POST /api/v1/logs/import:", error);
+    sendApiError(res, 500, "internal_error", "Internal Server Error");
+  }
+});
+
+apiV1.patch("/logs/:id", async (req, res) => {
+  try {
+    const log = await findOwnedRecord(res, "log", req.params.id, req.user.id);
+    if (!log) return;
+    if (log.rmpId) {
+      return sendApiError(res, 409, "locked", "Log is bundled into an RMP");
+    }
+
+    let data;
+    let tagNames;
+    try {
+      data = getTimes(req.body, getUserTimeZone(req.user));
+      tagNames = parseTagNames(req.body);
+    } catch (error) {
+      return sendApiError(res, 400, "invalid_input", sanitizeError(error, isProd));
+    }
+
+    // Guard against the log being bundled between the lookup and the update
+    const result = await prisma.log.updateMany({
+      where: { id: log.id, userId: req.user.id, rmpId: null },
+      data,
+    });
+    if (result.count === 0) {
+      return sendApiError(res, 409, "locked", "Log is bundled into an RMP");
+    }
+    if (tagNames) {
+      await setLogTags(log.id, req.user.id, tagNames);
+    }
+    const updated = await prisma.log.findUnique({ where: { id: log.id }, include: { tags: true } });
+    res.json({ log: serializeLog(updated) });
+  } catch (error) {
+    console.error("Error in PATCH /api/v1/logs/:id:", error);
+    sendApiError(res, 500, "internal_error", "Internal Server Error");
+  }
+});
+
+apiV1.delete("/logs/:id", async (req, res) => {
+  try {
+    const log = await findOwnedRecord(res, "log", req.params.id, req.user.id);
+    if (!log) return;
+    const result = await prisma.log.deleteMany({
+      where: { id: log.id, userId: req.user.id, rmpId: null },
+    });
+    if (result.count === 0) {
+      return sendApiError(res, 409, "locked", "Log is bundled into an RMP");
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error("Error in DELETE /api/v1/logs/:id:", error);
+    sendApiError(res, 500, "internal_error", "Internal Server Error");
+  }
+});
+
+apiV1.get("/tags", async (req, res) => {
+  try {
+    const tags = await getTags(req.user.id);
+    res.json({ tags: tags.map(({ id, name }) => ({ id, name })) });
+  } catch (error) {
+    console.error("Error in GET /api/v1/tags:", error);
+    sendApiError(res, 500, "internal_error", "Internal Server Error");
+  }
+});
+
+apiV1.patch("/tags/:id", async (req, res) => {
+  try {
+    const tag = await findOwnedRecord(res, "tag", req.params.id, req.user.id);
+    if (!tag) return;
+    let name;
+    try {
+      name = cleanTagName(req.body.name);
+      if (!name) throw new Error("Enter a tag name");
+    } catch (error) {
+      return sendApiError(res, 400, "invalid_input", error.message);
+    }
+    const result = await renameTag(req.user.id, tag.id, name);
+    if (result === "not_found") {
+      return sendApiError(res, 404, "not_found", "Tag not found");
+    }
+    if (result === "taken") {
+      return sendApiError(res, 409, "tag_exists", `You already have a tag named "${name}"`);
+    }
+    res.json({ tag: { id: tag.id, name } });
+  } catch (error) {
+    console.error("Error in PATCH /api/v1/tags/:id:", error);
+    sendApiError(res, 500, "internal_error", "Internal Server Error");
+  }
+});
+
+apiV1.delete("/tags/:id", async (req, res) => {
+  try {
+    const tag = await findOwnedRecord(res, "tag", req.params.id, req.user.id);
+    if (!tag) return;
+    await prisma.tag.deleteMany({ where: { id: tag.id, userId: req.user.id } });
+    res.status(204).end();
+  } catch (error) {
+    console.error("Error in DELETE /api/v1/tags/:id:", error);
+    sendApiError(res, 500, "internal_error", "Internal Server Error");
+  }
+});
+
+apiV1.get("/rmps", async (req, res) => {
+  try {
+    const filters = parseRmpFilters(req.query);
+    const page = await findApiPage(res, "rmp", req.query, {
+      where: buildRmpWhere(req.user.id, filters),
+      orderBy: RMP_SORTS[filters.sort].orderBy,
+      cursor: filters.cursor,
+      include: { logs: { orderBy: { start: "asc" }, include: { tags: true } } },
+    });
+    if (!page) return;
+    res.json({ rmps: page.items.map(serializeRmp), nextCursor: page.nextCursor });
+  } catch (error) {
+    console.error("Error in GET /api/v1/rmps:", error);
+    sendApiError(res, 500, "internal_error", "Internal Server Error");
+  }
+});
+
+apiV1.get("/rmps/:id", async (req, res) => {
+  try {
+    const rmp = await findOwnedRecord(res, "rmp", req.params.id, req.user.id, {
+      logs: { orderBy: { start: "asc" }, include: { tags: true } },
+    });
+    if (!rmp) return;
+    rmp.events = await prisma.rmpEvent.findMany({
+      where: { rmpId: rmp.id },
+      orderBy: { createdAt: "asc" },
+    });
+    res.json({ rmp: serializeRmp(rmp) });
+  } catch (error) {
+    console.error("Error in GET /api/v1/rmps/:id:", error);
+    sendApiError(res, 500, "internal_error", "Internal Server Error");
+  }
+});
+
+apiV1.post("/rmps", async (req, res) => {
+  try {
+    // Manual selection: { logs: [{ id, hours }], filedDate, type }
+    if (req.body.logs !== undefined) {
+      const rmpType = req.body.type ?? getRmpType(req);
+      if (!isValidRmpType(rmpType)) {
+        return sendApiError(res, 400, "invalid_input", "Unknown RMP type");
+      }
+      if (!isValidDate(req.body.filedDate)) {
+        return sendApiError(res, 400, "invalid_input", "Invalid filing date format");
+      }
+      if (!Array.isArray(req.body.logs) || !req.body.logs.every((l) => isValidUUID(l?.id))) {
+        return sendApiError(res, 400, "invalid_input", "logs must be a list of { id, hours }");
+      }
+      let rmp;
+      try {
+        rmp = await bundleSelectedLogs(
+          req.user.id,
+          new Map(req.body.logs.map((l) => [l.id, l.hours])),
+          req.body.filedDate,
+          rmpType,
+          getUserTimeZone(req.user),
+        );
+      } catch (error) {
+        if (!(error instanceof BundleSelectionError)) throw error;
+        return sendApiError(res, 422, "invalid_selection", error.message);
+      }
+      const created = await prisma.rmp.findUnique({
+        where: { id: rmp.id },
+        include: { logs: { orderBy: { start: "asc" }, include: { tags: true } } },
+      });
+      return res.status(201).json({ rmp: serializeRmp(created) });
+    }
+
+    let filedDates, count;
+    try {
+      filedDates = parseFiledDates(req.body.filedDate, req.body.filedDates);
+      count = parseBundleCount(req.body.count === undefined ? undefined : String(req.body.count));
+    } catch (error) {
+      return sendApiError(res, 400, "invalid_input", sanitizeError(error, isProd));
+    }
+    const rmpType = req.body.type ?? getRmpType(req);
+    if (!isValidRmpType(rmpType)) {
+      return sendApiError(res, 400, "invalid_input", "Unknown RMP type");
+    }
+    const rmps = await bundleRmps(req.user.id, { filedDates, count, rmpType });
+    if (rmps.length === 0) {
+      return sendApiError(res, 422, "insufficient_hours", "Not enough unbundled hours");
+    }
+    const found = await prisma.rmp.findMany({
+      where: { id: { in: rmps.map((r) => r.id) } },
+      include: { logs: { orderBy: { start: "asc" }, include: { tags: true } } },
+    });
+    const created = rmps.map((r) => found.find((f) => f.id === r.id));
+    // Single-RMP requests keep the original { rmp } response shape
+    if (req.body.count === undefined && req.body.filedDates === undefined) {
+      return res.status(201).json({ rmp: serializeRmp(created[0]) });
+    }
+    res.status(201).json({ rmps: created.map(serializeRmp) });
+  } catch (error) {
+    console.error("Error in POST /api/v1/rmps:", error);
+    sendApiError(res, 500, "internal_error", "Internal Server Error");
+  }
+});
+
+apiV1.patch("/rmps/:id", async (req, res) => {
+  try {
+    const rmp = await findOwnedRecord(res, "rmp", req.params.id, req.user.id);
+    if (!rmp) return;
+    const { status, notes } = req.body;
+    if (status === undefined && notes === undefined) {
+      return sendApiError(res, 400, "invalid_input", "Nothing to update");
+    }
+    if (notes !== undefined && notes !== null && typeof notes !== "string") {
+      return sendApiError(res, 400, "invalid_input", "Notes must be a string");
+    }
+    if (status !== undefined) {
+      if (!Object.hasOwn(RMP_TRANSITIONS, status)) {
+        return sendApiError(res, 400, "invalid_input", "Unknown RMP status");
+      }
+      if (!canTransitionRmp(rmp.status, status)) {
+        return sendApiError(
+          res,
+          409,
+          "invalid_transition",
+          `Cannot move RMP from ${rmp.status} to ${status}`,
+        );
+      }
+      if (!canSetRmpStatus(await getRmpAccess(rmp, req.user.id), status)) {
+        return sendApiError(res, 403, "forbidden", "Your unit admin makes this decision");
+      }
+      if (!(await transitionRmp(rmp, status, req.body.reason, req.user.id))) {
+        return sendApiError(res, 409, "rmp_changed", "RMP status was changed by someone else");
+      }
+    }
+    if (notes !== undefined) {
+      await editRmpNotes(rmp, notes, req.user.id);
+    }
+    const updated = await prisma.rmp.findUnique({
+      where: { id: rmp.id },
+      include: { logs: { orderBy: { start: "asc" }, include: { tags: true } } },
+    });
+    res.json({ rmp: serializeRmp(updated) });
+  } catch (error) {
+    console.error("Error in PATCH /api/v1/rmps/:id:", error);
+    sendApiError(res, 500, "internal_error", "Internal Server Error");
+  }
+});
+
+apiV1.delete("/rmps/:id", async (req, res) => {
+  try {
+    const rmp = await findOwnedRecord(res, "rmp", req.params.id, req.user.id);
+    if (!rmp) return;
+    if (!(await unsubmitRmp(rmp, req.user.id))) {
+      return sendApiError(
+        res,
+        409,
+        "invalid_transition",
+        "Approved, paid or cancelled RMPs can't be unsubmitted",
+      );
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error("Error in DELETE /api/v1/rmps/:id:", error);
+    sendApiError(res, 500, "internal_error", "Internal Server Error");
+  }
+});
+
+apiV1.get("/reports", async (req, res) => {
+  try {
+    const timeZone = getUserTimeZone(req.user);
+    let query;
+    try {
+      query = parseReportQuery(req.query, timeZone);
+    } catch (error) {
+      return sendApiError(res, 400, "invalid_input", error.message);
+    }
+    res.json(await buildReport(req.user.id, query.period, query.fy, timeZone));
+  } catch (error) {
+    console.error("Error in GET /api/v1/reports:", error);
+    sendApiError(res, 500, "internal_error", "Internal Server Error");
+  }
+});
+
+// Snippets are HTML: escaped note text with matches wrapped in <mark>
+apiV1.get("/search", async (req, res) => {
+  try {
+    const q = cleanFilterText(req.query.q);
+    if (!q) {
+      return sendApiError(res, 400, "invalid_input", "q is required");
+    }
+    const { logs, rmps } = await searchNotes(req.user.id, q);
+    res.json({
+      logs: logs.map((l) => ({
+        id: l.id,
+        hours: l.hours,
+        start: l.start.toISOString(),
+        end: l.end.toISOString(),
+        rmpId: l.rmpId,
+        snippet: highlightSnippet(l.snippet),
+      })),
+      rmps: rmps.map((r) => ({
+        id: r.id,
+        filedDate: r.filedDate.toISOString().split("T")[0],
+        status: r.status,
+        snippet: highlightSnippet(r.snippet),
+      })),
     });
+  } catch (error) {
+    console.error("Error in GET /api/v1/search:", error);
+    sendApiError(res, 500, "internal_error", "Internal Server Error");
+  }
+});
 
-    if (result.count === 0) {
-      return res.status(404).send("Log entry not found or locked");
+// Timer shared across the member's devices (see TIMER). Stopping logs one entry
+// per start-to-pause segment.
+apiV1.get("/timer", async (req, res) => {
+  try {
+    res.json({ timer: serializeTimer(await getTimer(req.user.id)) });
+  } catch (error) {
+    console.error("Error in GET /api/v1/timer:", error);
+    sendApiError(res, 500, "internal_error", "Internal Server Error");
+  }
+});
+
+apiV1.post("/timer/stop", async (req, res) => {
+  let tagNames;
+  try {
+    tagNames = parseTagNames(req.body) ?? [];
+  } catch (error) {
+    return sendApiError(res, 400, "invalid_input", sanitizeError(error, isProd));
+  }
+  const at = parseTimerTime(req.body.at);
+  if (!at) {
+    return sendApiError(res, 400, "invalid_time", "at must be a past ISO 8601 time");
+  }
+  try {
+    const timer = await getTimer(req.user.id);
+    if (!timer) {
+      return sendApiError(res, 404, "no_timer", "No timer is running");
+    }
+    const now = notBefore(at, timerLastChange(timer));
+    const problem = timerLogError(timer, now);
+    if (problem) {
+      return sendApiError(res, 422, "invalid_timer", problem);
+    }
+    const logs = await stopTimer(timer, now, {
+      note: cleanText(req.body.note),
+      tags: await resolveTags(req.user.id, tagNames),
+    });
+    if (!logs) {
+      return sendApiError(res, 409, "timer_changed", "The timer was changed on another device");
     }
+    res.status(201).json({ logs: logs.map(serializeLog), timer: serializeTimer(null) });
+  } catch (error) {
+    console.error("Error in POST /api/v1/timer/stop:", error);
+    sendApiError(res, 500, "internal_error", "Internal Server Error");
+  }
+});
 
-    res.redirect("/api");
+const TIMER_ACTIONS = {
+  start: { run: startTimer, code: "timer_exists", message: "A timer is already running" },
+  pause: { run: pauseTimer, code: "timer_not_running", message: "The timer isn't running" },
+  resume: { run: resumeTimer, code: "timer_not_paused", message: "The timer isn't paused" },
+};
+
+apiV1.post("/timer/:action", async (req, res) => {
+  if (!Object.hasOwn(TIMER_ACTIONS, req.params.action)) {
+    return sendApiError(res, 404, "not_found", "Endpoint not found");
+  }
+  const at = parseTimerTime(req.body?.at);
+  if (!at) {
+    return sendApiError(res, 400, "invalid_time", "at must be a past ISO 8601 time");
+  }
+  try {
+    const action = TIMER_ACTIONS[req.params.action];
+    const applied = await action.run(req.user.id, at);
+    const timer = serializeTimer(await getTimer(req.user.id));
+    if (!applied) {
+      return res.status(409).json({ error: { code: action.code, message: action.message }, timer });
+    }
+    res.json({ timer });
   } catch (error) {
-    console.error("Error in /api/delete:", error);
-    res.status(500).send("Internal Server Error");
+    console.error(`Error in POST /api/v1/timer/${req.params.action}:`, error);
+    sendApiError(res, 500, "internal_error", "Internal Server Error");
+  }
+});
+
+// Throw the timer away without logging anything
+apiV1.delete("/timer", async (req, res) => {
+  try {
+    await prisma.activeTimer.deleteMany({ where: { userId: req.user.id } });
+    res.status(204).end();
+  } catch (error) {
+    console.error("Error in DELETE /api/v1/timer:", error);
+    sendApiError(res, 500, "internal_error", "Internal Server Error");
+  }
+});
+
+apiV1.get("/notifications", async (req, res) => {
+  try {
+    const notifications = await prisma.notification.findMany({
+      where: { userId: req.user.id, ...(req.query.unread === "true" && { readAt: null }) },
+      orderBy: { createdAt: "desc" },
+      take: 50,
+    });
+    res.json({
+      notifications: notifications.map((n) => ({
+        id: n.id,
+        message: n.message,
+        rmpId: n.rmpId,
+        read: n.readAt !== null,
+        createdAt: n.createdAt.toISOString(),
+      })),
+    });
+  } catch (error) {
+    console.error("Error in GET /api/v1/notifications:", error);
+    sendApiError(res, 500, "internal_error", "Internal Server Error");
+  }
+});
+
+apiV1.post("/notifications/read", async (req, res) => {
+  try {
+    const result = await prisma.notification.updateMany({
+      where: { userId: req.user.id, readAt: null },
+      data: { readAt: new Date() },
+    });
+    res.json({ read: result.count });
+  } catch (error) {
+    console.error("Error in POST /api/v1/notifications/read:", error);
+    sendApiError(res, 500, "internal_error", "Internal Server Error");
+  }
+});
+
+// This member's push subscriptions (one per browser), plus the key to subscribe with
+apiV1.get("/push/subscriptions", async (req, res) => {
+  try {
+    const subscriptions = await prisma.pushSubscription.findMany({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: "asc" },
+    });
+    res.json({
+      publicKey: pushEnabled() ? process.env.VAPID_PUBLIC_KEY : null,
+      subscriptions: subscriptions.map(serializePushSubscription),
+    });
+  } catch (error) {
+    console.error("Error in GET /api/v1/push/subscriptions:", error);
+    sendApiError(res, 500, "internal_error", "Internal Server Error");
+  }
+});
+
+// Takes the browser's PushSubscription JSON. An endpoint already on file moves
+// to this member, since it now belongs to whoever is signed in on that browser.
+apiV1.post("/push/subscriptions", async (req, res) => {
+  try {
+    if (!pushEnabled()) {
+      return sendApiError(res, 503, "push_disabled", "Push notifications are not configured");
+    }
+    let data;
+    try {
+      data = parsePushSubscription(req.body);
+    } catch (e) {
+      return sendApiError(res, 400, "invalid_input", e.message);
+    }
+    const subscription = await prisma.pushSubscription.upsert({
+      where: { endpoint: data.endpoint },
+      create: { ...data, userId: req.user.id },
+      update: { ...data, userId: req.user.id },
+    });
+    res.status(201).json({ subscription: serializePushSubscription(subscription) });
+  } catch (error) {
+    console.error("Error in POST /api/v1/push/subscriptions:", error);
+    sendApiError(res, 500, "internal_error", "Internal Server Error");
+  }
+});
+
+apiV1.delete("/push/subscriptions", async (req, res) => {
+  try {
+    if (typeof req.query.endpoint !== "string") {
+      return sendApiError(res, 400, "invalid_input", "endpoint is required");
+    }
+    await prisma.pushSubscription.deleteMany({
+      where: { userId: req.user.id, endpoint: req.query.endpoint },
+    });
+    res.status(204).end();
+  } catch (error) {
+    console.error("Error in DELETE /api/v1/push/subscriptions:", error);
+    sendApiError(res, 500, "internal_error", "Internal Server Error");
+  }
+});
+
+apiV1.post("/push/test", async (req, res) => {
+  try {
+    if (!pushEnabled()) {
+      return sendApiError(res, 503, "push_disabled", "Push notifications are not configured");
+    }
+    const subscriptions = await prisma.pushSubscription.findMany({
+      where: { userId: req.user.id },
+    });
+    if (subscriptions.length === 0) {
+      return sendApiError(res, 404, "no_subscriptions", "No devices have reminders turned on");
+    }
+    const delivered = await sendPush(subscriptions, {
+      title: "Three Bells reminders are on",
+      body: "This is how reminders will show up on this device.",
+      url: "/api/settings#reminders",
+      tag: "test",
+    });
+    res.json({ delivered });
+  } catch (error) {
+    console.error("Error in POST /api/v1/push/test:", error);
+    sendApiError(res, 500, "internal_error", "Internal Server Error");
+  }
+});
+
+// Approval queue for unit admins (see getReviewQueue)
+apiV1.get("/review", async (req, res) => {
+  try {
+    const { members, rmps } = await getReviewQueue(req.user.id);
+    res.json({
+      rmps: rmps.map((r) => {
+        const { user, units } = members.get(r.userId);
+        return {
+          ...serializeRmp(r),
+          member: { id: user.id, displayName: user.displayName, rank: user.rank, units },
+        };
+      }),
+    });
+  } catch (error) {
+    console.error("Error in GET /api/v1/review:", error);
+    sendApiError(res, 500, "internal_error", "Internal Server Error");
+  }
+});
+
+apiV1.post("/review", async (req, res) => {
+  try {
+    const { rmps, status, reason } = req.body;
+    if (
+      !Array.isArray(rmps) ||
+      rmps.length === 0 ||
+      rmps.length > 100 ||
+      !rmps.every((id) => typeof id === "string")
+    ) {
+      return sendApiError(res, 400, "invalid_input", "rmps must be a list of up to 100 RMP IDs");
+    }
+    if (!REVIEW_DECISIONS.includes(status)) {
+      return sendApiError(res, 400, "invalid_input", "status must be approved, denied or paid");
+    }
+    if (reason !== undefined && reason !== null && typeof reason !== "string") {
+      return sendApiError(res, 400, "invalid_input", "Reason must be a string");
+    }
+
+    const { applied, skipped } = await applyReviewDecisions(rmps, status, () => reason, req.user);
+    console.log(
+      `[SECURITY] ${applied.length} RMPs set to ${status} by reviewer: ${req.user.id} (${skipped.length} skipped)`,
+    );
+    res.json({ updated: applied.map((a) => a.rmp.id), skipped });
+  } catch (error) {
+    console.error("Error in POST /api/v1/review:", error);
+    sendApiError(res, 500, "internal_error", "Internal Server Error");
+  }
+});
+
+apiV1.get("/units", async (req, res) => {
+  try {
+    const memberships = await prisma.unitMembership.findMany({
+      where: { userId: req.user.id },
+      include: { unit: true },
+      orderBy: { createdAt: "asc" },
+    });
+    res.json({
+      units: memberships.map((m) => ({
+        id: m.unitId,
+        name: m.unit.name,
+        uic: m.unit.uic,
+        role: m.role,
+        sharing: m.sharing,
+      })),
+    });
+  } catch (error) {
+    console.error("Error in GET /api/v1/units:", error);
+    sendApiError(res, 500, "internal_error", "Internal Server Error");
+  }
+});
+
+// Admins only; members who don't share come back with null balances
+apiV1.get("/units/:id/roster", async (req, res) => {
+  try {
+    const membership = await getUnitMembership(req.params.id, req.user.id);
+    if (!membership) {
+      return sendApiError(res, 404, "not_found", "Unit not found");
+    }
+    if (membership.role !== "admin") {
+      return sendApiError(res, 403, "forbidden", "Only unit admins can view the roster");
+    }
+    const roster = await getUnitRoster(membership.unitId);
+    res.json({
+      unit: { id: membership.unitId, name: membership.unit.name, uic: membership.unit.uic },
+      totals: summarizeRoster(roster),
+      members: roster.map((m) => ({ ...m, joinedAt: m.joinedAt.toISOString() })),
+    });
+  } catch (error) {
+    console.error("Error in GET /api/v1/units/:id/roster:", error);
+    sendApiError(res, 500, "internal_error", "Internal Server Error");
+  }
+});
+
+apiV1.use((req, res) => sendApiError(res, 404, "not_found", "Endpoint not found"));
+
+// Malformed JSON bodies and other middleware errors
+apiV1.use((err, req, res, _next) => {
+  if (err.type === "entity.parse.failed") {
+    return sendApiError(res, 400, "invalid_json", "Malformed JSON body");
+  }
+  if (err.type === "entity.too.large") {
+    return sendApiError(res, 413, "payload_too_large", "Request body is too large");
   }
+  console.error("Error in /api/v1:", err);
+  sendApiError(res, err.status || 500, "internal_error", "Internal Server Error");
 });
 
+app.use("/api/v1", apiV1);
+
+// Finish a sign-in from any provider: regenerate the session, log the user in,
+// save the session before redirecting, and hand off to preview deploys.
+const completeLogin = (req, res, user, returnUrl = "/api") => {
+  // Regenerate session to prevent session fixation attacks
+  req.session.regenerate((regenErr) => {
+    if (regenErr) {
+      console.error("[SECURITY] Session regeneration error:", regenErr);
+      return res.redirect("/api");
+    }
+    // Log in the user after session regeneration
+    req.logIn(user, { session: true }, (loginErr) => {
+      if (loginErr) {
+        console.error("[SECURITY] Login error:", loginErr);
+        return res.redirect("/api");
+      }
+      // Log successful authentication
+      console.log(
+        `[SECURITY] Successful authentication for user: ${user.id || user.email || "unknown"} from IP: ${req.ip || req.connection.remoteAddress}`,
+      );
+      // Explicitly save session to ensure cookie is set before redirect
+      req.session.save((saveErr) => {
+        if (saveErr) {
+          console.error("[SECURITY] Session save error:", saveErr);
+          return res.redirect("/api");
+        }
+        // Set cache headers on redirect response
+        res.set(NO_CACHE_HEADERS);
+
+        // If redirecting cross-origin (e.g., to a preview branch), include auth token
+        // so the target can create its own session via /api/auth/token
+        let finalUrl = returnUrl;
+        if (returnUrl.startsWith("http")) {
+          try {
+            const currentHost = req.get("host");
+            const targetUrl = new URL(returnUrl);
+            if (targetUrl.hostname !== currentHost) {
+              const token = createAuthToken(user);
+              // Redirect to /api/auth/token on the target with the token
+              targetUrl.pathname = "/api/auth/token";
+              targetUrl.searchParams.set("token", token);
+              finalUrl = targetUrl.toString();
+              console.log(
+                `[SECURITY] Cross-origin redirect with auth token to: ${targetUrl.hostname}`,
+              );
+            }
+          } catch (e) {
+            console.warn("[SECURITY] Failed to process cross-origin redirect:", e.message);
+          }
+        }
+
+        res.redirect(finalUrl);
+      });
+    });
+  });
+};
+
 app.get("/api/auth/google", authRateLimiter, (req, res, next) => {
   // Log auth attempt
   console.log(`[SECURITY] OAuth initiation from IP: ${req.ip || req.connection.remoteAddress}`);
@@ -2128,7 +8621,8 @@ app.get("/api/auth/google", authRateLimiter, (req, res, next) => {
   const protocol = req.protocol;
   const host = req.get("host");
   const returnUrl = `${protocol}://${host}/api`;
-  const state = Buffer.from(JSON.stringify({ returnUrl })).toString("base64url");
+  const link = req.session.linkNonce;
+  const state = Buffer.from(JSON.stringify({ returnUrl, link })).toString("base64url");
 
   passport.authenticate("google", {
     scope: ["profile", "email"],
@@ -2145,11 +8639,13 @@ app.get("/api/auth/callback", (req, res, next) => {
     Expires: "0",
   });
 
-  // Decode the state parameter to get the return URL
+  // Decode the state parameter to get the return URL (and link nonce)
   let returnUrl = "/api";
+  let linkNonce = null;
   if (req.query.state) {
     try {
       const state = JSON.parse(Buffer.from(req.query.state, "base64url").toString());
+      linkNonce = state.link;
       if (state.returnUrl && isValidRedirectUrl(state.returnUrl)) {
         returnUrl = state.returnUrl;
         console.log(`[SECURITY] OAuth callback will redirect to: ${returnUrl}`);
@@ -2161,6 +8657,9 @@ app.get("/api/auth/callback", (req, res, next) => {
     }
   }
 
+  // Linking from Settings lands back there
+  const linking = checkLinkNonce(req, linkNonce);
+
   // Use custom callback to ensure session is saved before redirecting
   passport.authenticate("google", (err, user, _info) => {
     if (err) {
@@ -2168,7 +8667,7 @@ app.get("/api/auth/callback", (req, res, next) => {
       console.warn(
         `[SECURITY] Failed OAuth callback from IP: ${req.ip || req.connection.remoteAddress}`,
       );
-      return res.redirect("/api");
+      return res.redirect(linking ? "/api/settings?linkError" : "/api");
     }
     if (!user) {
       console.warn(
@@ -2176,63 +8675,235 @@ app.get("/api/auth/callback", (req, res, next) => {
       );
       return res.redirect("/api");
     }
-    // Regenerate session to prevent session fixation attacks
-    req.session.regenerate((regenErr) => {
-      if (regenErr) {
-        console.error("[SECURITY] Session regeneration error:", regenErr);
-        return res.redirect("/api");
-      }
-      // Log in the user after session regeneration
-      req.logIn(user, { session: true }, (loginErr) => {
-        if (loginErr) {
-          console.error("[SECURITY] Login error:", loginErr);
-          return res.redirect("/api");
+    completeLogin(req, res, user, linking ? "/api/settings" : returnUrl);
+  })(req, res, next);
+});
+
+// OpenID Connect sign-in (see ensureOidcStrategy)
+app.get("/api/auth/oidc", authRateLimiter, async (req, res, next) => {
+  res.set(NO_CACHE_HEADERS);
+  if (!AUTH_PROVIDERS.oidc.enabled()) {
+    return res.status(404).send("Sign-in method not available");
+  }
+  try {
+    await ensureOidcStrategy();
+  } catch (error) {
+    console.error("[SECURITY] OIDC discovery failed:", error);
+    return res.status(503).send("Sign-in provider unavailable");
+  }
+  console.log(`[SECURITY] OIDC initiation from IP: ${req.ip || req.connection.remoteAddress}`);
+  // openid-client checks the state against the session; a link carries its nonce in it
+  const link = req.session.linkNonce;
+  const state = `${link ? `link.${link}.` : ""}${crypto.randomBytes(16).toString("base64url")}`;
+  passport.authenticate("oidc", { state })(req, res, next);
+});
+
+app.get("/api/auth/oidc/callback", authRateLimiter, async (req, res, next) => {
+  res.set(NO_CACHE_HEADERS);
+  if (!AUTH_PROVIDERS.oidc.enabled()) {
+    return res.status(404).send("Sign-in method not available");
+  }
+  try {
+    await ensureOidcStrategy();
+  } catch (error) {
+    console.error("[SECURITY] OIDC discovery failed:", error);
+    return res.status(503).send("Sign-in provider unavailable");
+  }
+  // Linking from Settings lands back there
+  const state = typeof req.query.state === "string" ? req.query.state.split(".") : [];
+  const linking = checkLinkNonce(req, state[0] === "link" ? state[1] : null);
+  passport.authenticate("oidc", (err, user) => {
+    if (err || !user) {
+      console.warn(
+        `[SECURITY] OIDC callback failed from IP: ${req.ip || req.connection.remoteAddress}:`,
+        err?.message || "no user",
+      );
+      return res.redirect(linking ? "/api/settings?linkError" : "/api");
+    }
+    completeLogin(req, res, user, linking ? "/api/settings" : "/api");
+  })(req, res, next);
+});
+
+// Email magic-link sign-in: enter an address, get a single-use link
+const renderEmailLoginPage = ({ csrfToken, email = "", sent, error, linking }) => {
+  const body = `
+        <h1>${linking ? "Link an email address" : "Sign in with email"}</h1>
+        ${
+          sent
+            ? `<div class="alert alert-success">If that address can sign in, a link is on its way to ${escapeHtml(email)}. It expires in 15 minutes.</div>`
+            : `
+        <p>We'll email you a link that signs you in. No password needed.</p>
+        ${error ? `<div class="alert alert-error">${escapeHtml(error)}</div>` : ""}
+        <form method="POST" action="/api/auth/email">
+            <input type="hidden" name="_csrf" value="${csrfToken}">
+            <div class="form-group">
+                <label class="form-label" for="email">Email</label>
+                <input type="email" id="email" name="email" value="${escapeHtml(email)}" maxlength="254" required autofocus>
+            </div>
+            <button type="submit" class="btn btn-primary">Send sign-in link</button>
+        </form>
+        `
         }
-        // Log successful authentication
-        console.log(
-          `[SECURITY] Successful authentication for user: ${user.id || user.emails?.[0]?.value || "unknown"} from IP: ${req.ip || req.connection.remoteAddress}`,
-        );
-        // Explicitly save session to ensure cookie is set before redirect
-        req.session.save((saveErr) => {
-          if (saveErr) {
-            console.error("[SECURITY] Session save error:", saveErr);
-            return res.redirect("/api");
-          }
-          // Set cache headers on redirect response
-          res.set({
-            "Cache-Control": "no-store, no-cache, must-revalidate, private",
-            "Vercel-CDN-Cache-Control": "no-store, no-cache, must-revalidate",
-            Pragma: "no-cache",
-            Expires: "0",
-          });
-
-          // If redirecting cross-origin (e.g., to a preview branch), include auth token
-          // so the target can create its own session via /api/auth/token
-          let finalUrl = returnUrl;
-          if (returnUrl !== "/api") {
-            try {
-              const currentHost = req.get("host");
-              const targetUrl = new URL(returnUrl);
-              if (targetUrl.hostname !== currentHost) {
-                const token = createAuthToken(user);
-                // Redirect to /api/auth/token on the target with the token
-                targetUrl.pathname = "/api/auth/token";
-                targetUrl.searchParams.set("token", token);
-                finalUrl = targetUrl.toString();
-                console.log(
-                  `[SECURITY] Cross-origin redirect with auth token to: ${targetUrl.hostname}`,
-                );
-              }
-            } catch (e) {
-              console.warn("[SECURITY] Failed to process cross-origin redirect:", e.message);
-            }
-          }
+    `;
+  return renderPage({ title: "Sign in with email", body });
+};
 
-          res.redirect(finalUrl);
-        });
-      });
+app.get("/api/auth/email", (req, res) => {
+  res.set(NO_CACHE_HEADERS);
+  if (!AUTH_PROVIDERS.email.enabled()) {
+    return res.status(404).send("Sign-in method not available");
+  }
+  res.send(
+    renderEmailLoginPage({
+      csrfToken: getCSRFToken(req),
+      linking: Boolean(req.user && req.session.linkUserId),
+    }),
+  );
+});
+
+app.post("/api/auth/email", authRateLimiter, async (req, res) => {
+  try {
+    res.set(NO_CACHE_HEADERS);
+    if (!AUTH_PROVIDERS.email.enabled()) {
+      return res.status(404).send("Sign-in method not available");
+    }
+    // Validate CSRF token
+    if (!validateCSRFToken(req)) {
+      return res.status(403).send("Invalid CSRF token");
+    }
+
+    const email = typeof req.body.email === "string" ? req.body.email.trim().toLowerCase() : "";
+    const linkUserId = req.user && req.session.linkUserId === req.user.id ? req.user.id : null;
+    if (!isValidEmail(email)) {
+      return res.status(400).send(
+        renderEmailLoginPage({
+          csrfToken: getCSRFToken(req),
+          email,
+          error: "Enter a valid email address",
+          linking: Boolean(linkUserId),
+        }),
+      );
+    }
+    delete req.session.linkUserId;
+    delete req.session.linkNonce;
+
+    // Links point at this deployment when it's a trusted host (e.g. a preview branch)
+    const origin = `${req.protocol}://${req.get("host")}`;
+    const linkBase = isValidRedirectUrl(origin) ? origin : baseUrl;
+    const token = await createLoginToken(email, linkUserId);
+    await sendMail({
+      to: email,
+      subject: linkUserId ? "Link your email to Three Bells" : "Your Three Bells sign-in link",
+      text: `Use this link to ${linkUserId ? "link this address to your account" : "sign in to Three Bells"}:\n\n${linkBase}/api/auth/email/verify?token=${token}\n\nIt expires in 15 minutes and can only be used once. If you didn't ask for it, you can ignore this email.`,
     });
-  })(req, res, next);
+    console.log(
+      `[SECURITY] Email sign-in link requested from IP: ${req.ip || req.connection.remoteAddress}`,
+    );
+
+    res.send(renderEmailLoginPage({ csrfToken: getCSRFToken(req), email, sent: true }));
+  } catch (error) {
+    console.error("Error in POST /api/auth/email:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+// Opening the link shows a confirm button so mail scanners that prefetch links
+// don't use up the token
+app.get("/api/auth/email/verify", (req, res) => {
+  res.set(NO_CACHE_HEADERS);
+  const token = typeof req.query.token === "string" ? req.query.token : "";
+  const body = `
+        <h1>Sign in to Three Bells</h1>
+        <form method="POST" action="/api/auth/email/verify">
+            <input type="hidden" name="token" value="${escapeHtml(token)}">
+            <button type="submit" class="btn btn-primary">Continue</button>
+        </form>
+    `;
+  res.send(renderPage({ title: "Sign in", body }));
+});
+
+app.post("/api/auth/email/verify", authRateLimiter, async (req, res) => {
+  try {
+    res.set(NO_CACHE_HEADERS);
+    const loginToken = await consumeLoginToken(req.body.token);
+    if (!loginToken) {
+      console.warn(
+        `[SECURITY] Invalid or expired email sign-in link from IP: ${req.ip || req.connection.remoteAddress}`,
+      );
+      return res.status(400).send(
+        renderPage({
+          title: "Link expired",
+          body: `
+        <h1>This link has expired</h1>
+        <div class="alert alert-error">Sign-in links can only be used once and expire after 15 minutes.</div>
+        <a href="/api/auth/email" class="btn btn-primary">Send a new link</a>`,
+        }),
+      );
+    }
+
+    let user;
+    try {
+      user = await resolveIdentityUser(
+        { provider: "email", subject: loginToken.email, email: loginToken.email },
+        loginToken.linkUserId,
+      );
+    } catch (error) {
+      console.warn("[SECURITY] Email identity link rejected:", error.message);
+      return res.redirect("/api/settings?linkError");
+    }
+    completeLogin(req, res, user, loginToken.linkUserId ? "/api/settings" : "/api");
+  } catch (error) {
+    console.error("Error in POST /api/auth/email/verify:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+// Start linking another sign-in method to the current account. The nonce ties
+// the provider's callback to this request (see checkLinkNonce).
+app.post("/api/auth/link/:provider", requireAuth, (req, res) => {
+  res.set(NO_CACHE_HEADERS);
+  // Validate CSRF token
+  if (!validateCSRFToken(req)) {
+    return res.status(403).send("Invalid CSRF token");
+  }
+  const provider = AUTH_PROVIDERS[req.params.provider];
+  if (!Object.hasOwn(AUTH_PROVIDERS, req.params.provider) || !provider.enabled()) {
+    return res.status(404).send("Sign-in method not available");
+  }
+  req.session.linkUserId = req.user.id;
+  req.session.linkNonce = crypto.randomBytes(16).toString("base64url");
+  req.session.save(() => res.redirect(303, provider.path));
+});
+
+// Remove a linked sign-in method (the last one can't be removed)
+app.post("/api/auth/unlink/:id", requireAuth, async (req, res) => {
+  try {
+    // Validate CSRF token
+    if (!validateCSRFToken(req)) {
+      return res.status(403).send("Invalid CSRF token");
+    }
+
+    // Validate UUID
+    if (!isValidUUID(req.params.id)) {
+      return res.status(400).send("Invalid identity ID");
+    }
+
+    const count = await prisma.identity.count({ where: { userId: req.user.id } });
+    if (count <= 1) {
+      return res.status(400).send("You need at least one way to sign in");
+    }
+    const result = await prisma.identity.deleteMany({
+      where: { id: req.params.id, userId: req.user.id },
+    });
+    if (result.count === 0) {
+      return res.status(404).send("Sign-in method not found");
+    }
+    console.log(`[SECURITY] Identity ${req.params.id} unlinked by user: ${req.user.id}`);
+    res.redirect("/api/settings");
+  } catch (error) {
+    console.error("Error in /api/auth/unlink:", error);
+    res.status(500).send("Internal Server Error");
+  }
 });
 
 // Handle cross-origin auth token for preview branch OAuth flow
@@ -2260,19 +8931,28 @@ app.get("/api/auth/token", authRateLimiter, (req, res) => {
 
   console.log(`[SECURITY] Creating session from auth token for user: ${user.id}`);
 
-  req.logIn(user, { session: true }, (err) => {
-    if (err) {
-      console.error("[SECURITY] Token login error:", err);
-      return res.redirect("/api");
-    }
-    req.session.save((saveErr) => {
-      if (saveErr) {
-        console.error("[SECURITY] Token session save error:", saveErr);
-      }
-      // Redirect to main app
+  // The preview branch has its own database, so make sure the User exists there too
+  upsertUser(user).then(
+    (dbUser) => {
+      req.logIn(dbUser, { session: true }, (err) => {
+        if (err) {
+          console.error("[SECURITY] Token login error:", err);
+          return res.redirect("/api");
+        }
+        req.session.save((saveErr) => {
+          if (saveErr) {
+            console.error("[SECURITY] Token session save error:", saveErr);
+          }
+          // Redirect to main app
+          res.redirect("/api");
+        });
+      });
+    },
+    (err) => {
+      console.error("[SECURITY] Token user upsert error:", err);
       res.redirect("/api");
-    });
-  });
+    },
+  );
 });
 
 app.get("/api/logout", (req, res) => {
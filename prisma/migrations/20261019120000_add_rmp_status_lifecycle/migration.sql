@@ -0,0 +1,9 @@
+-- CreateEnum
+CREATE TYPE "RmpStatus" AS ENUM ('submitted', 'paid', 'denied', 'resubmitted', 'cancelled');
+
+-- AlterTable
+ALTER TABLE "Rmp" ALTER COLUMN "status" DROP DEFAULT;
+ALTER TABLE "Rmp" ALTER COLUMN "status" TYPE "RmpStatus" USING ("status"::"RmpStatus");
+ALTER TABLE "Rmp" ALTER COLUMN "status" SET DEFAULT 'submitted';
+ALTER TABLE "Rmp" ADD COLUMN "statusReason" TEXT,
+ADD COLUMN "statusChangedAt" TIMESTAMP(3);
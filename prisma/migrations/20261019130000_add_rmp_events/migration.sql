@@ -0,0 +1,33 @@
+-- CreateEnum
+CREATE TYPE "RmpEventType" AS ENUM ('created', 'status_changed', 'notes_edited', 'unsubmitted');
+
+-- CreateTable
+CREATE TABLE "RmpEvent" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "rmpId" UUID NOT NULL,
+    "userId" TEXT NOT NULL,
+    "actorId" TEXT NOT NULL,
+    "type" "RmpEventType" NOT NULL,
+    "fromStatus" "RmpStatus",
+    "toStatus" "RmpStatus",
+    "reason" TEXT,
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RmpEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "RmpEvent_rmpId_createdAt_idx" ON "RmpEvent"("rmpId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "RmpEvent_userId_idx" ON "RmpEvent"("userId");
+
+-- Backfill a "created" event for existing RMPs
+INSERT INTO "RmpEvent" ("rmpId", "userId", "actorId", "type", "toStatus", "createdAt")
+SELECT "id", "userId", "userId", 'created', 'submitted', "filedDate" FROM "Rmp";
+
+-- Backfill a "status_changed" event for RMPs that have moved past submitted
+INSERT INTO "RmpEvent" ("rmpId", "userId", "actorId", "type", "fromStatus", "toStatus", "createdAt")
+SELECT "id", "userId", "userId", 'status_changed', 'submitted', "status", COALESCE("statusChangedAt", "filedDate")
+FROM "Rmp" WHERE "status" <> 'submitted';
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Rmp" ADD COLUMN "type" TEXT NOT NULL DEFAULT 'standard',
+ADD COLUMN "blockHours" DOUBLE PRECISION NOT NULL DEFAULT 3;
@@ -0,0 +1,37 @@
+-- CreateTable
+CREATE TABLE "User" (
+    "id" TEXT NOT NULL,
+    "displayName" TEXT,
+    "email" TEXT,
+    "photoUrl" TEXT,
+    "rank" TEXT,
+    "uic" TEXT,
+    "timezone" TEXT,
+    "preferences" JSONB NOT NULL DEFAULT '{}',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastLoginAt" TIMESTAMP(3),
+
+    CONSTRAINT "User_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "User_email_idx" ON "User"("email");
+
+-- Backfill: one user per Google ID already referenced by existing rows.
+-- Profile fields are filled in on the member's next sign-in.
+INSERT INTO "User" ("id")
+SELECT "userId" FROM "Log"
+UNION
+SELECT "userId" FROM "Rmp"
+UNION
+SELECT "userId" FROM "RmpEvent";
+
+-- AddForeignKey
+ALTER TABLE "Rmp" ADD CONSTRAINT "Rmp_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RmpEvent" ADD CONSTRAINT "RmpEvent_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Log" ADD CONSTRAINT "Log_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
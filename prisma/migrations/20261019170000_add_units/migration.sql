@@ -0,0 +1,61 @@
+-- CreateEnum
+CREATE TYPE "UnitRole" AS ENUM ('member', 'admin');
+
+-- CreateTable
+CREATE TABLE "Unit" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "name" TEXT NOT NULL,
+    "uic" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Unit_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "UnitMembership" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "unitId" UUID NOT NULL,
+    "userId" TEXT NOT NULL,
+    "role" "UnitRole" NOT NULL DEFAULT 'member',
+    "sharing" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "UnitMembership_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "UnitInvite" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "unitId" UUID NOT NULL,
+    "email" TEXT,
+    "role" "UnitRole" NOT NULL DEFAULT 'member',
+    "tokenHash" TEXT NOT NULL,
+    "createdById" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "acceptedAt" TIMESTAMP(3),
+    "acceptedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "UnitInvite_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "UnitMembership_unitId_userId_key" ON "UnitMembership"("unitId", "userId");
+
+-- CreateIndex
+CREATE INDEX "UnitMembership_userId_idx" ON "UnitMembership"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "UnitInvite_tokenHash_key" ON "UnitInvite"("tokenHash");
+
+-- CreateIndex
+CREATE INDEX "UnitInvite_unitId_idx" ON "UnitInvite"("unitId");
+
+-- AddForeignKey
+ALTER TABLE "UnitMembership" ADD CONSTRAINT "UnitMembership_unitId_fkey" FOREIGN KEY ("unitId") REFERENCES "Unit"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "UnitMembership" ADD CONSTRAINT "UnitMembership_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "UnitInvite" ADD CONSTRAINT "UnitInvite_unitId_fkey" FOREIGN KEY ("unitId") REFERENCES "Unit"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "Log" ADD COLUMN "noteSearch" tsvector GENERATED ALWAYS AS (to_tsvector('english', COALESCE("note", ''))) STORED;
+
+-- AlterTable
+ALTER TABLE "Rmp" ADD COLUMN "notesSearch" tsvector GENERATED ALWAYS AS (to_tsvector('english', COALESCE("notes", ''))) STORED;
+
+-- CreateIndex
+CREATE INDEX "Log_noteSearch_idx" ON "Log" USING GIN ("noteSearch");
+
+-- CreateIndex
+CREATE INDEX "Rmp_notesSearch_idx" ON "Rmp" USING GIN ("notesSearch");
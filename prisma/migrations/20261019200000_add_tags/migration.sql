@@ -0,0 +1,33 @@
+-- CreateTable
+CREATE TABLE "Tag" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "userId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Tag_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "_LogToTag" (
+    "A" UUID NOT NULL,
+    "B" UUID NOT NULL,
+
+    CONSTRAINT "_LogToTag_AB_pkey" PRIMARY KEY ("A","B")
+);
+
+-- CreateIndex (names are unique per member regardless of case; Prisma can't
+-- express an index on lower(), so it isn't in schema.prisma)
+CREATE UNIQUE INDEX "Tag_userId_name_key" ON "Tag"("userId", lower("name"));
+
+-- CreateIndex
+CREATE INDEX "_LogToTag_B_index" ON "_LogToTag"("B");
+
+-- AddForeignKey
+ALTER TABLE "Tag" ADD CONSTRAINT "Tag_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "_LogToTag" ADD CONSTRAINT "_LogToTag_A_fkey" FOREIGN KEY ("A") REFERENCES "Log"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "_LogToTag" ADD CONSTRAINT "_LogToTag_B_fkey" FOREIGN KEY ("B") REFERENCES "Tag"("id") ON DELETE CASCADE ON UPDATE CASCADE;
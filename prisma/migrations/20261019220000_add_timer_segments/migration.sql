@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE "ActiveTimer" ADD COLUMN "runningSince" TIMESTAMP(3),
+ADD COLUMN "segments" JSONB NOT NULL DEFAULT '[]';
+
+-- Paused timers keep their elapsed time as a single finished segment
+UPDATE "ActiveTimer"
+SET "segments" = jsonb_build_array(jsonb_build_object(
+    'start', to_char("startedAt", 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"'),
+    'end', to_char("pausedAt", 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"')
+))
+WHERE "pausedAt" IS NOT NULL;
+
+UPDATE "ActiveTimer" SET "runningSince" = "startedAt" WHERE "pausedAt" IS NULL;
+
+-- AlterTable
+ALTER TABLE "ActiveTimer" DROP COLUMN "pausedAt",
+DROP COLUMN "startedAt";
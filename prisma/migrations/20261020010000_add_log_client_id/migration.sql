@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Log" ADD COLUMN "clientId" UUID;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Log_userId_clientId_key" ON "Log"("userId", "clientId");
@@ -1,4 +1,5 @@
-const CACHE_NAME = "three-bells-v1";
+const CACHE_NAME = "three-bells-v2";
+// Offline dashboard, served for /api when the network is unreachable
 const OFFLINE_URL = "/offline.html";
 
 // Assets to cache immediately on install
@@ -9,6 +10,25 @@ const PRECACHE_ASSETS = [
   "/icons/icon-512.png",
 ];
 
+// Log Hours and Edit Entry submissions and timer actions made while offline are
+// queued here and replayed when the connection returns
+const QUEUE_DB = "three-bells-offline";
+const QUEUE_STORE = "submissions";
+const SYNC_TAG = "replay-submissions";
+const QUEUEABLE_PATH = /^\/api\/(add|update\/[0-9a-f-]{36})$/i;
+const TIMER_ACTION_PATH = /^\/api\/v1\/timer\/(start|pause|resume|stop)$/;
+
+// The member's data as of the last time the dashboard was online, which the
+// offline dashboard renders from. Cleared on logout.
+const DATA_CACHE = "three-bells-data";
+const SNAPSHOT_URLS = [
+  "/api/v1/session",
+  "/api/v1/summary",
+  "/api/v1/timer",
+  "/api/v1/logs?limit=50",
+  "/api/v1/rmps?limit=20",
+];
+
 // Install event - cache essential assets
 self.addEventListener("install", (event) => {
   event.waitUntil(
@@ -26,7 +46,9 @@ self.addEventListener("activate", (event) => {
       .keys()
       .then((cacheNames) => {
         return Promise.all(
-          cacheNames.filter((name) => name !== CACHE_NAME).map((name) => caches.delete(name)),
+          cacheNames
+            .filter((name) => name !== CACHE_NAME && name !== DATA_CACHE)
+            .map((name) => caches.delete(name)),
         );
       })
       .then(() => self.clients.claim()),
@@ -38,6 +60,25 @@ self.addEventListener("fetch", (event) => {
   const { request } = event;
   const url = new URL(request.url);
 
+  // Deleting the account forgets the offline copy too
+  if (request.method === "POST" && url.pathname === "/api/account/delete") {
+    event.respondWith(caches.delete(DATA_CACHE).then(() => fetch(request)));
+    return;
+  }
+
+  // Queue log submissions and timer actions that can't reach the server
+  if (request.method === "POST" && url.origin === location.origin) {
+    if (QUEUEABLE_PATH.test(url.pathname)) {
+      event.respondWith(submitOrQueue(request));
+      return;
+    }
+    const timerAction = TIMER_ACTION_PATH.exec(url.pathname);
+    if (timerAction) {
+      event.respondWith(timerActionOrQueue(request, timerAction[1]));
+      return;
+    }
+  }
+
   // Skip non-GET requests
   if (request.method !== "GET") {
     return;
@@ -48,6 +89,47 @@ self.addEventListener("fetch", (event) => {
     return;
   }
 
+  // The offline dashboard's data: network-first, keeping the latest copy. Offline,
+  // the timer also reflects actions queued since.
+  if (url.pathname === "/api/v1/timer") {
+    event.respondWith(
+      fetchAndCache(request).catch(async () => jsonResponse(200, { timer: await offlineTimer() })),
+    );
+    return;
+  }
+  if (SNAPSHOT_URLS.includes(url.pathname + url.search)) {
+    event.respondWith(
+      fetchAndCache(request).catch(
+        async () =>
+          (await caches.match(request, { cacheName: DATA_CACHE })) ||
+          jsonResponse(503, { error: { code: "offline", message: "You're offline" } }),
+      ),
+    );
+    return;
+  }
+
+  // Signing out forgets the member's offline copy
+  if (url.pathname === "/api/logout") {
+    event.respondWith(caches.delete(DATA_CACHE).then(() => fetch(request)));
+    return;
+  }
+
+  // The dashboard is never served from a stale copy (its forms would carry old
+  // CSRF tokens); offline it's replaced by the offline dashboard. Online, the
+  // offline copy is checked against who is signed in now.
+  if (request.mode === "navigate" && url.pathname === "/api") {
+    event.respondWith(
+      fetch(request).then(
+        (response) => {
+          event.waitUntil(checkSnapshotOwner().catch(() => null));
+          return response;
+        },
+        () => caches.match(OFFLINE_URL),
+      ),
+    );
+    return;
+  }
+
   // For navigation requests (HTML pages), use network-first
   if (request.mode === "navigate") {
     event.respondWith(
@@ -94,3 +176,364 @@ self.addEventListener("fetch", (event) => {
     return;
   }
 });
+
+const jsonResponse = (status, body) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+
+// OFFLINE DATA
+// Fetch from the network and keep a copy in the data cache
+const fetchAndCache = async (request) => {
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(DATA_CACHE);
+    await cache.put(request, response.clone());
+  } else if (response.status === 401) {
+    // Signed out (e.g. the session expired): don't keep the last member's data
+    await caches.delete(DATA_CACHE);
+  }
+  return response;
+};
+
+// Refresh every snapshot URL (failures keep the previous copy)
+const refreshSnapshot = () =>
+  Promise.all(
+    SNAPSHOT_URLS.map((url) =>
+      fetchAndCache(new Request(url, { credentials: "same-origin" })).catch(() => null),
+    ),
+  );
+
+const cachedJson = async (url) => {
+  const response = await caches.match(url, { cacheName: DATA_CACHE });
+  return response ? response.json() : null;
+};
+
+// Forget the offline copy once it no longer belongs to whoever is signed in:
+// signed out (the session expired or the account was deleted) or someone else
+const checkSnapshotOwner = async () => {
+  const cached = await cachedJson("/api/v1/session");
+  if (!cached) return;
+  const response = await fetch("/api/v1/session", { credentials: "same-origin" });
+  if (response.status === 401) {
+    await caches.delete(DATA_CACHE);
+  } else if (response.ok && (await response.json()).user.id !== cached.user.id) {
+    await caches.delete(DATA_CACHE);
+  }
+};
+
+// Timers here are shaped like the API's: { status, segments: [{ start, end }],
+// elapsedMs } with a null end on the running segment.
+const IDLE_TIMER = { status: "idle", segments: [], elapsedMs: 0 };
+
+const withElapsed = (timer) => ({
+  ...timer,
+  elapsedMs: timer.segments.reduce(
+    (total, segment) =>
+      total + (segment.end ? Date.parse(segment.end) : Date.now()) - Date.parse(segment.start),
+    0,
+  ),
+});
+
+// What a timer action does to the timer, mirroring the server; null if the
+// action doesn't apply in the timer's current state
+const applyTimerAction = (timer, action, at) => {
+  const segments = timer.segments.slice();
+  if (action === "start" && timer.status === "idle") {
+    return { status: "running", segments: [{ start: at, end: null }] };
+  }
+  if (action === "pause" && timer.status === "running") {
+    segments[segments.length - 1] = { ...segments[segments.length - 1], end: at };
+    return { status: "paused", segments };
+  }
+  if (action === "resume" && timer.status === "paused") {
+    return { status: "running", segments: [...segments, { start: at, end: null }] };
+  }
+  if (action === "stop" && timer.status !== "idle") {
+    return IDLE_TIMER;
+  }
+  return null;
+};
+
+// The timer as last synced, with the timer actions queued since applied
+const offlineTimer = async () => {
+  let timer = (await cachedJson("/api/v1/timer"))?.timer || IDLE_TIMER;
+  for (const entry of await getQueued()) {
+    const action = TIMER_ACTION_PATH.exec(new URL(entry.url).pathname);
+    if (action && entry.status === "pending") {
+      timer = applyTimerAction(timer, action[1], JSON.parse(entry.body).at) || timer;
+    }
+  }
+  return withElapsed(timer);
+};
+
+// OFFLINE QUEUE
+// Each entry is { id, url, body, json, userId, queuedAt, status, error } where
+// body is the form as submitted (or the JSON body of a timer action, when json is
+// set) and userId is who was signed in. Status is "pending" until it replays,
+// "conflict" if the log was changed elsewhere in the meantime, "failed" if the
+// server rejected it for another reason (given in error), or "held" if it was
+// saved without a userId. Those wait on the dashboard for the member to retry
+// (or claim) or discard them.
+const openQueue = () =>
+  new Promise((resolve, reject) => {
+    const open = indexedDB.open(QUEUE_DB, 1);
+    open.onupgradeneeded = () =>
+      open.result.createObjectStore(QUEUE_STORE, { keyPath: "id", autoIncrement: true });
+    open.onsuccess = () => resolve(open.result);
+    open.onerror = () => reject(open.error);
+  });
+
+// Run one request against the store and resolve with its result once committed
+const withQueue = async (mode, fn) => {
+  const db = await openQueue();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(QUEUE_STORE, mode);
+    const request = fn(tx.objectStore(QUEUE_STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+const getQueued = () => withQueue("readonly", (store) => store.getAll());
+const getQueuedEntry = (id) => withQueue("readonly", (store) => store.get(id));
+const putQueued = (entry) => withQueue("readwrite", (store) => store.put(entry));
+const deleteQueued = (id) => withQueue("readwrite", (store) => store.delete(id));
+
+// Tell open pages what's waiting (and how many entries just synced) so the
+// dashboard can show it. Other members' entries stay out of the list.
+const broadcastQueue = async (synced = 0) => {
+  const session = await cachedJson("/api/v1/session");
+  const entries = (await getQueued()).filter(
+    (entry) => !entry.userId || entry.userId === session?.user.id,
+  );
+  const pages = await self.clients.matchAll({ type: "window" });
+  pages.forEach((page) => page.postMessage({ type: "queue", entries, synced }));
+};
+
+// Background Sync isn't available everywhere; pages also ask for a replay when
+// they come back online
+const scheduleReplay = async () => {
+  try {
+    await self.registration.sync?.register(SYNC_TAG);
+  } catch (error) {
+    console.error("Background Sync unavailable:", error);
+  }
+};
+
+const queueSubmission = async (url, body, json = false) => {
+  const session = await cachedJson("/api/v1/session");
+  await putQueued({
+    url,
+    body,
+    json,
+    userId: session?.user.id ?? null,
+    queuedAt: new Date().toISOString(),
+    status: "pending",
+    error: null,
+  });
+  await scheduleReplay();
+  await broadcastQueue();
+};
+
+// New logs get an ID before the first attempt, so one that reaches the server but
+// loses its response (and is queued anyway) isn't logged twice when it replays
+const submitOrQueue = async (request) => {
+  let body = await request.clone().text();
+  let send = request;
+  if (new URL(request.url).pathname === "/api/add") {
+    const form = new URLSearchParams(body);
+    if (!form.has("clientId")) form.set("clientId", crypto.randomUUID());
+    body = form.toString();
+    send = new Request(request.url, {
+      method: "POST",
+      body,
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      credentials: "same-origin",
+      redirect: "manual",
+    });
+  }
+  try {
+    return await fetch(send);
+  } catch {
+    await queueSubmission(request.url, body);
+    // Back to the dashboard (the offline one), which lists the entry as waiting to sync
+    return Response.redirect(new URL("/api", location.origin), 303);
+  }
+};
+
+// Offline, a timer action is checked against the local timer, queued with the
+// time it happened, and answered the way the API would (202 while it waits)
+const timerActionOrQueue = async (request, action) => {
+  const body = JSON.parse((await request.clone().text()) || "{}");
+  try {
+    return await fetch(request);
+  } catch {
+    const at = body.at || new Date().toISOString();
+    const timer = await offlineTimer();
+    const next = applyTimerAction(timer, action, at);
+    if (!next) {
+      return jsonResponse(409, {
+        error: { code: "timer_conflict", message: `Can't ${action} the timer right now` },
+        timer,
+      });
+    }
+    await queueSubmission(request.url, JSON.stringify({ ...body, at }), true);
+    return jsonResponse(202, { timer: withElapsed(next), queued: true });
+  }
+};
+
+const sendQueued = (entry, csrfToken) => {
+  if (entry.json) {
+    return fetch(entry.url, {
+      method: "POST",
+      body: entry.body,
+      credentials: "same-origin",
+      headers: { "Content-Type": "application/json", "X-CSRF-Token": csrfToken },
+    });
+  }
+  const body = new URLSearchParams(entry.body);
+  body.set("_csrf", csrfToken);
+  return fetch(entry.url, {
+    method: "POST",
+    body,
+    credentials: "same-origin",
+    redirect: "manual",
+  });
+};
+
+const queuedError = async (entry, response) => {
+  if (!entry.json) return (await response.text()).slice(0, 300);
+  const data = await response.json().catch(() => ({}));
+  return data.error?.message || `Request failed (${response.status})`;
+};
+
+// Resubmit the signed-in member's pending entries in the order they were queued.
+// Queued forms carry the CSRF token of the page they came from, which may be
+// stale by now, so each one is sent with the session's current token. Throws on
+// network or server errors so Background Sync tries again later.
+const replay = async () => {
+  const queued = (await getQueued()).filter((entry) => entry.status === "pending");
+  if (queued.length === 0) return;
+
+  const session = await fetch("/api/v1/session", { credentials: "same-origin" });
+  if (session.status === 401) {
+    // Signed out; replays after the next sign-in
+    await caches.delete(DATA_CACHE);
+    return;
+  }
+  if (!session.ok) throw new Error(`Session check failed (${session.status})`);
+  const { user, csrfToken } = await session.json();
+  const pending = queued.filter((entry) => entry.userId === user.id);
+
+  // Entries saved before this device knew who was signed in could be anyone's;
+  // hold them until the member says they're theirs (a retry claims them)
+  for (const entry of queued.filter((entry) => !entry.userId)) {
+    await putQueued({
+      ...entry,
+      status: "held",
+      error: "Saved while the signed-in account was unknown, so it wasn't sent",
+    });
+  }
+
+  let synced = 0;
+  try {
+    for (const entry of pending) {
+      const response = await sendQueued(entry, csrfToken);
+      // The form routes redirect back to the dashboard on success
+      if (response.type === "opaqueredirect" || response.ok) {
+        await deleteQueued(entry.id);
+        synced++;
+      } else if (response.status >= 500) {
+        throw new Error(`Server error (${response.status})`);
+      } else {
+        await putQueued({
+          ...entry,
+          status: response.status === 409 && !entry.json ? "conflict" : "failed",
+          error: await queuedError(entry, response),
+        });
+      }
+    }
+  } finally {
+    if (synced > 0) await refreshSnapshot();
+    await broadcastQueue(synced);
+  }
+};
+
+// Share one replay between sync events and page requests
+let replaying = null;
+const replayQueue = () => (replaying ||= replay().finally(() => (replaying = null)));
+
+self.addEventListener("sync", (event) => {
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(replayQueue());
+  }
+});
+
+// Messages from the dashboard: list the queue, replay it (and refresh the offline
+// copy), or resolve an entry ("retry" resends it, with overwrite dropping the
+// version so a conflicting edit replaces the other change; "discard" drops it)
+self.addEventListener("message", (event) => {
+  const { type, id, overwrite } = event.data || {};
+  const handle = async () => {
+    if (type === "retry") {
+      const entry = await getQueuedEntry(id);
+      const session = entry && !entry.userId ? await cachedJson("/api/v1/session") : null;
+      if (session) entry.userId = session.user.id;
+      if (entry?.userId) {
+        const body = new URLSearchParams(entry.body);
+        if (overwrite) body.delete("version");
+        await putQueued({
+          ...entry,
+          body: entry.json ? entry.body : body.toString(),
+          status: "pending",
+          error: null,
+        });
+      }
+    } else if (type === "discard") {
+      await deleteQueued(id);
+    }
+    if (type === "retry" || type === "replay") {
+      await replayQueue().catch((error) => console.error("Replay failed:", error));
+    }
+    if (type === "replay") {
+      await refreshSnapshot();
+    }
+    await broadcastQueue();
+  };
+  event.waitUntil(handle());
+});
+
+// REMINDERS
+// Pushes from the server carry { title, body, url, tag }
+self.addEventListener("push", (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch {
+    data = { body: event.data.text() };
+  }
+  event.waitUntil(
+    self.registration.showNotification(data.title || "Three Bells", {
+      body: data.body,
+      tag: data.tag,
+      icon: "/icons/icon-192.png",
+      badge: "/icons/icon-192.png",
+      data: { url: data.url || "/api" },
+    }),
+  );
+});
+
+// Open the notification's page, reusing an open Three Bells window when there is one
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || "/api", self.location.origin).href;
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((windows) => {
+      const open = windows.find((client) => client.url.startsWith(self.location.origin));
+      if (open) return open.navigate(url).then((client) => (client || open).focus());
+      return self.clients.openWindow(url);
+    }),
+  );
+});
@@ -0,0 +1,191 @@
+// Mock OpenID Connect provider for trying the OIDC sign-in locally.
+//
+//   npm run mock:oidc
+//
+// Then start the app with OIDC_ISSUER=http://localhost:4000, OIDC_CLIENT_ID=three-bells
+// and OIDC_CLIENT_SECRET=secret. The authorize page lets you pick any email address
+// to sign in as; nothing is stored and no real credentials are checked.
+const http = require("node:http");
+const crypto = require("node:crypto");
+
+const PORT = Number(process.env.MOCK_OIDC_PORT) || 4000;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_CLIENT_ID || "three-bells";
+const CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || "secret";
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString("hex");
+const jwk = { ...publicKey.export({ format: "jwk" }), kid: KEY_ID, use: "sig", alg: "RS256" };
+
+// Authorization codes and access tokens live in memory for this process only
+const codes = new Map();
+const accessTokens = new Map();
+
+const escapeHtml = (text) =>
+  String(text).replace(
+    /[&<>"']/g,
+    (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#039;" })[c],
+  );
+
+const base64url = (value) => Buffer.from(value).toString("base64url");
+
+const signJwt = (payload) => {
+  const header = base64url(JSON.stringify({ alg: "RS256", typ: "JWT", kid: KEY_ID }));
+  const body = base64url(JSON.stringify(payload));
+  const signature = crypto.sign("sha256", Buffer.from(`${header}.${body}`), privateKey);
+  return `${header}.${body}.${signature.toString("base64url")}`;
+};
+
+// Stable subject per email so repeat sign-ins map to the same identity
+const claimsFor = (email, name) => ({
+  sub: crypto.createHash("sha256").update(email).digest("hex").slice(0, 24),
+  email,
+  email_verified: true,
+  name: name || email.split("@")[0],
+});
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (chunk) => (data += chunk));
+    req.on("end", () => resolve(new URLSearchParams(data)));
+    req.on("error", reject);
+  });
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json", "Cache-Control": "no-store" });
+  res.end(JSON.stringify(body));
+};
+
+const clientAuthenticated = (req, form) => {
+  const header = req.headers.authorization || "";
+  if (header.startsWith("Basic ")) {
+    const [id, secret] = Buffer.from(header.slice(6), "base64")
+      .toString()
+      .split(":")
+      .map(decodeURIComponent);
+    return id === CLIENT_ID && secret === CLIENT_SECRET;
+  }
+  return form.get("client_id") === CLIENT_ID && form.get("client_secret") === CLIENT_SECRET;
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+
+  try {
+    if (url.pathname === "/.well-known/openid-configuration") {
+      return sendJson(res, 200, {
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        userinfo_endpoint: `${ISSUER}/userinfo`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ["code"],
+        subject_types_supported: ["public"],
+        id_token_signing_alg_values_supported: ["RS256"],
+        scopes_supported: ["openid", "email", "profile"],
+        token_endpoint_auth_methods_supported: ["client_secret_basic", "client_secret_post"],
+      });
+    }
+
+    if (url.pathname === "/jwks") {
+      return sendJson(res, 200, { keys: [jwk] });
+    }
+
+    if (url.pathname === "/authorize" && req.method === "GET") {
+      if (url.searchParams.get("client_id") !== CLIENT_ID) {
+        res.writeHead(400);
+        return res.end("Unknown client_id");
+      }
+      const hidden = ["redirect_uri", "state", "nonce", "code_challenge", "code_challenge_method"]
+        .filter((name) => url.searchParams.has(name))
+        .map(
+          (name) =>
+            `<input type="hidden" name="${name}" value="${escapeHtml(url.searchParams.get(name))}">`,
+        )
+        .join("");
+      res.writeHead(200, { "Content-Type": "text/html" });
+      return res.end(`<!DOCTYPE html>
+<html><head><title>Mock OIDC sign-in</title></head>
+<body style="font-family: sans-serif; max-width: 360px; margin: 60px auto;">
+  <h1>Mock OIDC sign-in</h1>
+  <form method="POST" action="/authorize">
+    ${hidden}
+    <p><label>Email<br><input type="email" name="email" value="sailor@example.com" required></label></p>
+    <p><label>Name<br><input type="text" name="name" value="Test Sailor"></label></p>
+    <button type="submit">Sign in</button>
+  </form>
+</body></html>`);
+    }
+
+    if (url.pathname === "/authorize" && req.method === "POST") {
+      const form = await readBody(req);
+      const code = crypto.randomBytes(16).toString("base64url");
+      codes.set(code, {
+        claims: claimsFor(form.get("email"), form.get("name")),
+        nonce: form.get("nonce"),
+        redirectUri: form.get("redirect_uri"),
+        codeChallenge: form.get("code_challenge"),
+      });
+      const redirect = new URL(form.get("redirect_uri"));
+      redirect.searchParams.set("code", code);
+      if (form.get("state")) redirect.searchParams.set("state", form.get("state"));
+      res.writeHead(302, { Location: redirect.toString() });
+      return res.end();
+    }
+
+    if (url.pathname === "/token" && req.method === "POST") {
+      const form = await readBody(req);
+      if (!clientAuthenticated(req, form)) {
+        return sendJson(res, 401, { error: "invalid_client" });
+      }
+      const grant = codes.get(form.get("code"));
+      codes.delete(form.get("code"));
+      if (!grant || grant.redirectUri !== form.get("redirect_uri")) {
+        return sendJson(res, 400, { error: "invalid_grant" });
+      }
+      if (grant.codeChallenge) {
+        const verifier = form.get("code_verifier") || "";
+        const challenge = crypto.createHash("sha256").update(verifier).digest("base64url");
+        if (challenge !== grant.codeChallenge) {
+          return sendJson(res, 400, { error: "invalid_grant" });
+        }
+      }
+
+      const now = Math.floor(Date.now() / 1000);
+      const accessToken = crypto.randomBytes(16).toString("base64url");
+      accessTokens.set(accessToken, grant.claims);
+      return sendJson(res, 200, {
+        access_token: accessToken,
+        token_type: "Bearer",
+        expires_in: 3600,
+        id_token: signJwt({
+          iss: ISSUER,
+          aud: CLIENT_ID,
+          iat: now,
+          exp: now + 3600,
+          ...(grant.nonce ? { nonce: grant.nonce } : {}),
+          ...grant.claims,
+        }),
+      });
+    }
+
+    if (url.pathname === "/userinfo") {
+      const claims = accessTokens.get((req.headers.authorization || "").replace(/^Bearer /, ""));
+      if (!claims) {
+        return sendJson(res, 401, { error: "invalid_token" });
+      }
+      return sendJson(res, 200, claims);
+    }
+
+    res.writeHead(404);
+    res.end("Not found");
+  } catch (error) {
+    console.error("Mock OIDC error:", error);
+    sendJson(res, 500, { error: "server_error" });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock OIDC provider listening at ${ISSUER} (client ${CLIENT_ID} / ${CLIENT_SECRET})`);
+});
@@ -0,0 +1,150 @@
+// Mock Web Push service for trying reminders locally without a browser.
+//
+//   npm run mock:push
+//
+// It prints a push subscription (also served at GET /subscription) that points back
+// at this process. Register it for a signed-in member (see the README), and every
+// push the app sends is checked for a valid VAPID signature, decrypted and printed.
+// Set MOCK_PUSH_STATUS=410 to answer like a browser that has unsubscribed.
+const http = require("node:http");
+const crypto = require("node:crypto");
+
+const PORT = Number(process.env.MOCK_PUSH_PORT) || 4001;
+const ORIGIN = `http://localhost:${PORT}`;
+const STATUS = Number(process.env.MOCK_PUSH_STATUS) || 201;
+
+// The "browser" side of the subscription (RFC 8291)
+const ecdh = crypto.createECDH("prime256v1");
+ecdh.generateKeys();
+const authSecret = crypto.randomBytes(16);
+const SUBSCRIPTION_ID = crypto.randomBytes(8).toString("hex");
+const subscription = {
+  endpoint: `${ORIGIN}/push/${SUBSCRIPTION_ID}`,
+  keys: {
+    p256dh: ecdh.getPublicKey().toString("base64url"),
+    auth: authSecret.toString("base64url"),
+  },
+};
+
+const hkdf = (salt, ikm, info, length) => {
+  const prk = crypto.createHmac("sha256", salt).update(ikm).digest();
+  return crypto
+    .createHmac("sha256", prk)
+    .update(Buffer.concat([info, Buffer.from([1])]))
+    .digest()
+    .subarray(0, length);
+};
+
+// Authorization: vapid t=<JWT>, k=<application server public key>
+const verifyVapid = (header) => {
+  const params = Object.fromEntries(
+    (header || "")
+      .replace(/^vapid\s+/i, "")
+      .split(",")
+      .map((part) => part.trim().split("=")),
+  );
+  const [head, body, signature] = (params.t || "").split(".");
+  if (!head || !body || !signature || !params.k) {
+    throw new Error("Missing VAPID token");
+  }
+  const publicKey = crypto.createPublicKey({
+    key: {
+      kty: "EC",
+      crv: "P-256",
+      x: Buffer.from(params.k, "base64url").subarray(1, 33).toString("base64url"),
+      y: Buffer.from(params.k, "base64url").subarray(33, 65).toString("base64url"),
+    },
+    format: "jwk",
+  });
+  const valid = crypto.verify(
+    "sha256",
+    Buffer.from(`${head}.${body}`),
+    { key: publicKey, dsaEncoding: "ieee-p1363" },
+    Buffer.from(signature, "base64url"),
+  );
+  if (!valid) {
+    throw new Error("Bad VAPID signature");
+  }
+  const claims = JSON.parse(Buffer.from(body, "base64url").toString());
+  if (claims.aud !== ORIGIN || claims.exp * 1000 < Date.now()) {
+    throw new Error("VAPID token has the wrong audience or has expired");
+  }
+  return claims;
+};
+
+// Decrypt an aes128gcm body (RFC 8188 framing, RFC 8291 keys)
+const decrypt = (payload) => {
+  const salt = payload.subarray(0, 16);
+  const idLength = payload[20];
+  const serverKey = payload.subarray(21, 21 + idLength);
+  const ciphertext = payload.subarray(21 + idLength);
+
+  const shared = ecdh.computeSecret(serverKey);
+  const ikm = hkdf(
+    authSecret,
+    shared,
+    Buffer.concat([Buffer.from("WebPush: info\0"), ecdh.getPublicKey(), serverKey]),
+    32,
+  );
+  const key = hkdf(salt, ikm, Buffer.from("Content-Encoding: aes128gcm\0"), 16);
+  const nonce = hkdf(salt, ikm, Buffer.from("Content-Encoding: nonce\0"), 12);
+
+  const decipher = crypto.createDecipheriv("aes-128-gcm", key, nonce);
+  decipher.setAuthTag(ciphertext.subarray(-16));
+  const padded = Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+  // Strip the padding delimiter (0x02 on the last record) and any zeros after it
+  return padded.subarray(0, padded.lastIndexOf(2)).toString();
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json", "Cache-Control": "no-store" });
+  res.end(JSON.stringify(body));
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ORIGIN);
+
+  try {
+    if (url.pathname === "/subscription" && req.method === "GET") {
+      return sendJson(res, 200, subscription);
+    }
+
+    if (url.pathname === `/push/${SUBSCRIPTION_ID}` && req.method === "POST") {
+      let claims;
+      try {
+        claims = verifyVapid(req.headers.authorization);
+      } catch (error) {
+        console.log(`Rejected push: ${error.message}`);
+        return sendJson(res, 401, { error: error.message });
+      }
+      if (req.headers["content-encoding"] !== "aes128gcm") {
+        return sendJson(res, 415, { error: "Expected aes128gcm content encoding" });
+      }
+      const message = decrypt(await readBody(req));
+      console.log(
+        `Push from ${claims.sub} (TTL ${req.headers.ttl}, answering ${STATUS}):\n  ${message}`,
+      );
+      res.writeHead(STATUS, { Location: `${ORIGIN}/messages/${crypto.randomUUID()}` });
+      return res.end();
+    }
+
+    res.writeHead(404);
+    res.end("Not found");
+  } catch (error) {
+    console.error("Mock push error:", error);
+    sendJson(res, 500, { error: "server_error" });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock push service listening at ${ORIGIN}. Subscription:`);
+  console.log(JSON.stringify(subscription, null, 2));
+});